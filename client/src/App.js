@@ -3,6 +3,9 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { GoogleOAuthProvider } from '@react-oauth/google';
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
 import Dashboard from './components/Dashboard';
 import CameraCapture from './components/CameraCapture';
 import Timeline from './components/Timeline';
@@ -11,26 +14,47 @@ import Profile from './components/Profile';
 import Share from './components/Share';
 import ApiTest from './components/ApiTest';
 import Game from './components/Game';
+import api, { tokenStore, AUTH_LOGOUT_EVENT } from './utils/api';
 import './App.css';
 
 function App() {
   const [user, setUser] = useState(null);
+  const [sessionChecked, setSessionChecked] = useState(false);
 
   useEffect(() => {
-    const savedUser = localStorage.getItem('user');
-    if (savedUser) {
-      setUser(JSON.parse(savedUser));
-    }
+    // Older builds kept the whole user object here; it is no longer trusted
+    localStorage.removeItem('user');
+
+    const restoreSession = async () => {
+      if (!tokenStore.get()) {
+        setSessionChecked(true);
+        return;
+      }
+      try {
+        const response = await api.getCurrentUser();
+        setUser(response.user);
+      } catch (error) {
+        console.warn('Stored session is no longer valid:', error.message);
+        tokenStore.clear();
+      } finally {
+        setSessionChecked(true);
+      }
+    };
+    restoreSession();
+
+    const onSessionExpired = () => setUser(null);
+    window.addEventListener(AUTH_LOGOUT_EVENT, onSessionExpired);
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, onSessionExpired);
   }, []);
 
+  // Tokens are stored by the api helpers; only the user lives in state
   const handleLogin = (userData) => {
     setUser(userData);
-    localStorage.setItem('user', JSON.stringify(userData));
   };
 
   const handleLogout = () => {
     setUser(null);
-    localStorage.removeItem('user');
+    api.logout();
   };
 
   const googleClientId = process.env.REACT_APP_GOOGLE_CLIENT_ID || '';
@@ -49,6 +73,18 @@ function App() {
             path="/register" 
             element={!user ? <Register onLogin={handleLogin} hasGoogleOAuth={hasGoogleOAuth} /> : <Navigate to="/dashboard" />} 
           />
+          <Route 
+            path="/forgot-password" 
+            element={!user ? <ForgotPassword /> : <Navigate to="/dashboard" />} 
+          />
+          <Route 
+            path="/reset-password" 
+            element={<ResetPassword />} 
+          />
+          <Route 
+            path="/verify-email" 
+            element={<VerifyEmail user={user} />} 
+          />
           <Route 
             path="/dashboard" 
             element={user ? <Dashboard user={user} onLogout={handleLogout} /> : <Navigate to="/login" />} 
@@ -71,7 +107,7 @@ function App() {
           />
           <Route 
             path="/profile" 
-            element={user ? <Profile user={user} /> : <Navigate to="/login" />} 
+            element={user ? <Profile user={user} hasGoogleOAuth={hasGoogleOAuth} /> : <Navigate to="/login" />} 
           />
           <Route 
             path="/share" 
@@ -87,6 +123,10 @@ function App() {
     </Router>
   );
 
+  if (!sessionChecked) {
+    return null;
+  }
+
   return (
     hasGoogleOAuth ? (
       <GoogleOAuthProvider clientId={googleClientId}>
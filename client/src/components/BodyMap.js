@@ -0,0 +1,80 @@
+import React, { useRef } from 'react';
+import { BODY_MAP_WIDTH, BODY_MAP_HEIGHT, bodyMapShapes } from '../data/bodyMap';
+import { bodyLocationLabel } from '../data/bodyLocations';
+import './BodyMap.css';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// One view (front or back) of the body diagram.
+// Tapping a region calls onPick({ view, region, x, y }) with x/y as 0-1 fractions;
+// markers ({ id, x, y, color, label }) are drawn on top and can be selected.
+const BodyMap = ({ view, markers = [], selectedId, pendingPoint, onPick, onSelectMarker, highlightRegion }) => {
+  const svgRef = useRef(null);
+
+  const handleRegionClick = (region) => (e) => {
+    if (!onPick) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    onPick({
+      view,
+      region,
+      x: round((e.clientX - rect.left) / rect.width),
+      y: round((e.clientY - rect.top) / rect.height)
+    });
+  };
+
+  const handleMarkerClick = (id) => (e) => {
+    e.stopPropagation();
+    if (onSelectMarker) onSelectMarker(id);
+  };
+
+  return (
+    <svg
+      ref={svgRef}
+      className={`body-map ${onPick ? 'interactive' : ''}`}
+      viewBox={`0 0 ${BODY_MAP_WIDTH} ${BODY_MAP_HEIGHT}`}
+      role="img"
+      aria-label={`Body map, ${view} view`}
+    >
+      {bodyMapShapes(view).map(({ region, kind, radius, ...shape }) => {
+        const props = {
+          className: `body-region ${region === highlightRegion ? 'highlighted' : ''}`,
+          onClick: handleRegionClick(region)
+        };
+        return kind === 'rect' ? (
+          <rect key={region} {...props} {...shape} rx={radius}>
+            <title>{bodyLocationLabel(region)}</title>
+          </rect>
+        ) : (
+          <ellipse key={region} {...props} {...shape}>
+            <title>{bodyLocationLabel(region)}</title>
+          </ellipse>
+        );
+      })}
+
+      {markers.map(marker => (
+        <circle
+          key={marker.id}
+          className={`body-marker ${marker.id === selectedId ? 'selected' : ''} ${onSelectMarker ? 'clickable' : ''}`}
+          cx={marker.x * BODY_MAP_WIDTH}
+          cy={marker.y * BODY_MAP_HEIGHT}
+          r={marker.id === selectedId ? 8 : 6}
+          fill={marker.color}
+          onClick={handleMarkerClick(marker.id)}
+        >
+          <title>{marker.label}</title>
+        </circle>
+      ))}
+
+      {pendingPoint && pendingPoint.view === view && (
+        <circle
+          className="body-marker pending"
+          cx={pendingPoint.x * BODY_MAP_WIDTH}
+          cy={pendingPoint.y * BODY_MAP_HEIGHT}
+          r={7}
+        />
+      )}
+    </svg>
+  );
+};
+
+export default BodyMap;
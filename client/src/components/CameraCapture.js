@@ -1,24 +1,70 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Webcam from 'react-webcam';
-import axios from 'axios';
 import { motion } from 'framer-motion';
-import { Camera, Upload, X, CheckCircle, AlertCircle, ArrowLeft, Loader } from 'lucide-react';
+import { Camera, Upload, X, CheckCircle, AlertCircle, ArrowLeft, Loader, MapPin } from 'lucide-react';
 import api from '../utils/api';
 import modelLoader from '../utils/modelLoader';
+import { EVOLUTION_METRICS, formatEvolutionChange } from '../utils/lesionEvolution';
+import { REFERENCE_OBJECTS, findReferenceObject } from '../utils/referenceDetection';
+import { bodyLocationLabel } from '../data/bodyLocations';
+import LesionPicker from './LesionPicker';
+import LesionOutline from './LesionOutline';
+import DetectedSpots from './DetectedSpots';
+import PhotoQuality from './PhotoQuality';
+import CaptureGuide from './CaptureGuide';
 import './CameraCapture.css';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+// The size reference rarely changes between scans, so remember the last choice
+const REFERENCE_STORAGE_KEY = 'sizeReference';
+
+// Auto-capture is a standing preference too
+const AUTO_CAPTURE_STORAGE_KEY = 'autoCapture';
+// Live guidance checks a camera frame this often (ms)
+const FRAME_CHECK_INTERVAL = 500;
+// Auto-capture waits for this many all-green frames in a row, so a lucky frame doesn't trigger it
+const AUTO_CAPTURE_FRAMES = 3;
+
+// Outline colors for the spots found in a photo, main spot first
+const SPOT_COLORS = ['#8b5cf6', '#ec4899', '#06b6d4', '#f59e0b', '#22c55e', '#3b82f6', '#ef4444', '#14b8a6'];
+
+// Adds the size and shape summaries saved with a cancer analysis.
+// Sizes are the lesion's own, and only true millimetres when calibrated.
+const withSizesAndShapes = (cancer) => ({
+  ...cancer,
+  sizes: {
+    width: `${cancer.lesionDetails.widthMM}mm`,
+    height: `${cancer.lesionDetails.heightMM}mm`,
+    area: `${cancer.lesionDetails.areaMM2}mm²`
+  },
+  shapes: {
+    irregular: cancer.patterns.asymmetry || cancer.patterns.border,
+    circular: !cancer.patterns.asymmetry,
+    oval: !cancer.patterns.asymmetry && !cancer.patterns.border
+  }
+});
 
 const CameraCapture = ({ user }) => {
   const [capturedImage, setCapturedImage] = useState(null);
   const [analysis, setAnalysis] = useState(null);
+  const [segmentation, setSegmentation] = useState(null);
+  const [detections, setDetections] = useState([]);
+  const [quality, setQuality] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [modelsLoading, setModelsLoading] = useState(false);
   const [modelsReady, setModelsReady] = useState(false);
   const [notes, setNotes] = useState('');
+  const [lesion, setLesion] = useState(null);
+  const [referenceId, setReferenceId] = useState(() => localStorage.getItem(REFERENCE_STORAGE_KEY) || '');
   const [uploading, setUploading] = useState(false);
+  const [frameCheck, setFrameCheck] = useState(null);
+  const [autoCapture, setAutoCapture] = useState(() => localStorage.getItem(AUTO_CAPTURE_STORAGE_KEY) === 'true');
   const webcamRef = useRef(null);
+  // Read by the frame check loop, which shouldn't restart when the setting changes
+  const autoCaptureRef = useRef(autoCapture);
+  // Cancels the analysis in flight, on Retake or when leaving the page
+  const analysisAbortRef = useRef(null);
   const navigate = useNavigate();
 
   // Load models on component mount
@@ -40,6 +86,38 @@ const CameraCapture = ({ user }) => {
     loadModels();
   }, []);
 
+  useEffect(() => () => {
+    if (analysisAbortRef.current) analysisAbortRef.current.abort();
+  }, []);
+
+  const outlineRegions = useMemo(
+    () => (segmentation
+      ? segmentation.lesions.map((region, idx) => ({
+        mask: region.mask,
+        box: region.box,
+        color: SPOT_COLORS[idx % SPOT_COLORS.length],
+        // Numbered only when there is more than one spot to tell apart
+        label: segmentation.lesions.length > 1 ? String(idx + 1) : null
+      }))
+      : []),
+    [segmentation]
+  );
+
+  const chooseReference = (id) => {
+    setReferenceId(id);
+    if (id) {
+      localStorage.setItem(REFERENCE_STORAGE_KEY, id);
+    } else {
+      localStorage.removeItem(REFERENCE_STORAGE_KEY);
+    }
+  };
+
+  const chooseAutoCapture = (enabled) => {
+    setAutoCapture(enabled);
+    autoCaptureRef.current = enabled;
+    localStorage.setItem(AUTO_CAPTURE_STORAGE_KEY, String(enabled));
+  };
+
   const capture = useCallback(() => {
     const imageSrc = webcamRef.current?.getScreenshot();
     if (imageSrc) {
@@ -47,115 +125,213 @@ const CameraCapture = ({ user }) => {
     }
   }, [webcamRef]);
 
+  // Live guidance while the camera is showing: check a frame at a time, at a low
+  // rate, and capture by itself once every indicator has stayed green
+  useEffect(() => {
+    if (capturedImage) return undefined;
+
+    let active = true;
+    let timer = null;
+    let readyFrames = 0;
+    const checkNext = async () => {
+      const check = await modelLoader.checkFrame(webcamRef.current?.video);
+      if (!active) return;
+      setFrameCheck(check);
+      readyFrames = check && check.ready ? readyFrames + 1 : 0;
+      if (autoCaptureRef.current && readyFrames >= AUTO_CAPTURE_FRAMES) {
+        capture();
+        return;
+      }
+      timer = setTimeout(checkNext, FRAME_CHECK_INTERVAL);
+    };
+    timer = setTimeout(checkNext, FRAME_CHECK_INTERVAL);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      setFrameCheck(null);
+    };
+  }, [capturedImage, capture]);
+
   const retake = () => {
+    if (analysisAbortRef.current) {
+      analysisAbortRef.current.abort();
+      analysisAbortRef.current = null;
+    }
     setCapturedImage(null);
     setAnalysis(null);
+    setSegmentation(null);
+    setDetections([]);
+    setQuality(null);
     setNotes('');
   };
 
-  const analyzeImage = async () => {
+  // Earlier analyses of the selected lesion, for the Evolving criterion
+  const loadLesionHistory = async () => {
+    if (!lesion) return [];
+    try {
+      const response = await api.getImages(user.id);
+      return (response.images || [])
+        .filter(img => img.lesionId === lesion.id && img.analysis && img.analysis.cancer)
+        .map(img => ({ uploadedAt: img.uploadedAt, lesionDetails: img.analysis.cancer.lesionDetails }));
+    } catch (error) {
+      console.warn('⚠️ Could not load earlier scans of this spot:', error);
+      return [];
+    }
+  };
+
+  // Upload the photo and save an analysis of it, optionally as a scan of a tracked lesion
+  const saveScan = async (lesionId, scanAnalysis) => {
+    const formData = new FormData();
+    const blob = await fetch(capturedImage).then(r => r.blob());
+    formData.append('image', blob, 'capture.jpg');
+    formData.append('userId', user.id);
+    formData.append('notes', notes);
+    if (lesionId) {
+      formData.append('lesionId', lesionId);
+    }
+
+    const uploadResponse = await api.uploadImage(formData);
+
+    if (uploadResponse.success) {
+      console.log('✅ Image uploaded successfully:', uploadResponse.image.id);
+      
+      // Save analysis to backend
+      const analyzeResponse = await api.analyzeImage(uploadResponse.image.id, {
+        cancer: scanAnalysis.cancer,
+        infection: scanAnalysis.infection,
+        recommendations: scanAnalysis.recommendations,
+        quality: scanAnalysis.quality
+      });
+      
+      if (analyzeResponse.success) {
+        console.log('✅ Analysis saved successfully');
+        
+        // Check if XP was awarded and gamification updated
+        if (analyzeResponse.gamification) {
+          console.log('✅ XP awarded!', analyzeResponse.gamification);
+          console.log('📊 Updated stats:', {
+            xp: analyzeResponse.gamification.xp,
+            level: analyzeResponse.gamification.level,
+            scansCompleted: analyzeResponse.gamification.stats?.scansCompleted
+          });
+          if (analyzeResponse.leveledUp) {
+            console.log('🎉 Level up! New level:', analyzeResponse.newLevel);
+            // Show level up notification
+            setTimeout(() => {
+              alert(`🎉 Level Up! You've reached level ${analyzeResponse.newLevel}!`);
+            }, 500);
+          }
+        }
+      } else {
+        console.error('❌ Failed to save analysis:', analyzeResponse);
+      }
+      return analyzeResponse.success;
+    }
+
+    console.error('❌ Upload failed:', uploadResponse);
+    alert('Failed to upload image. Please try again.');
+    return false;
+  };
+
+  // Start tracking another spot found in the photo, with the photo as its first scan
+  const trackDetection = async (detection, draft) => {
+    const { lesion: newLesion } = await api.addLesion(user.id, draft);
+    // Evolution belongs to the main spot's history, not this new one
+    const { evolution, ...cancer } = analysis.cancer;
+    const saved = await saveScan(newLesion.id, {
+      cancer: withSizesAndShapes({
+        ...cancer,
+        lesionDetails: detection.lesionDetails,
+        patterns: detection.patterns,
+        region: detection.box
+      }),
+      infection: analysis.infection,
+      recommendations: generateRecommendations({
+        cancer: { ...cancer, patterns: detection.patterns },
+        infection: analysis.infection
+      }),
+      quality: analysis.quality
+    });
+    if (!saved) {
+      throw new Error(`${newLesion.name} is now tracked, but this scan of it could not be saved.`);
+    }
+    return newLesion;
+  };
+
+  // ignoreQuality analyzes the photo even though the quality check blocked it
+  const analyzeImage = async ({ ignoreQuality = false } = {}) => {
     if (!capturedImage) return;
 
+    const controller = new AbortController();
+    analysisAbortRef.current = controller;
     setLoading(true);
+    setProgress(null);
     try {
+      // A blurry, dark or glary photo gives measurements that only look precise,
+      // so check it first and stop here if it needs retaking
+      let photoQuality = quality;
+      if (!photoQuality) {
+        setProgress({ stage: 'Checking photo quality', progress: 0 });
+        photoQuality = await modelLoader.checkImageQuality(capturedImage, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setQuality(photoQuality);
+      }
+      if (photoQuality && !photoQuality.passed && !ignoreQuality) return;
+
       // Use MobileNet for AI analysis (mandatory - no fallback)
       console.log('🔍 Starting AI analysis with MobileNet...');
       
-      const analysisResults = await modelLoader.analyzeImage(capturedImage);
+      const history = await loadLesionHistory();
+      const analysisResults = await modelLoader.analyzeImage(capturedImage, {
+        history,
+        reference: findReferenceObject(referenceId),
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      // Retake was pressed while the last step finished
+      if (controller.signal.aborted) return;
       console.log('✅ MobileNet analysis complete:', analysisResults);
 
-      // Calculate size measurements from image (basic estimation)
-      // Note: This is a simple estimation - for accurate measurements, 
-      // you'd need calibration or object detection
-      const img = new Image();
-      img.src = capturedImage;
-      await new Promise((resolve) => {
-        img.onload = resolve;
-      });
-      
-      // Estimate sizes based on image dimensions (assuming ~1mm per 10 pixels at typical phone distance)
-      const pixelToMM = 0.1; // Rough estimate - adjust based on your camera setup
-      const estimatedWidth = (img.width * pixelToMM).toFixed(2);
-      const estimatedHeight = (img.height * pixelToMM).toFixed(2);
-      const estimatedArea = (parseFloat(estimatedWidth) * parseFloat(estimatedHeight)).toFixed(2);
-      
-      const sizes = {
-        width: `${estimatedWidth}mm`,
-        height: `${estimatedHeight}mm`,
-        area: `${estimatedArea}mm²`
-      };
+      // Masks are only for the outlines on screen, and the other spots are offered
+      // separately below, so neither is part of the saved analysis
+      const { segmentation: lesionMasks, detections, ...cancerResults } = analysisResults.cancer;
+      setSegmentation(lesionMasks);
+      setDetections(detections);
 
       // Generate recommendations based on results
       const recommendations = generateRecommendations(analysisResults);
 
       // Combine all analysis data
       const fullAnalysis = {
-        cancer: {
-          ...analysisResults.cancer,
-          sizes,
-          shapes: {
-            irregular: analysisResults.cancer.patterns.asymmetry || analysisResults.cancer.patterns.border,
-            circular: !analysisResults.cancer.patterns.asymmetry,
-            oval: !analysisResults.cancer.patterns.asymmetry && !analysisResults.cancer.patterns.border
-          }
-        },
+        cancer: withSizesAndShapes({
+          ...cancerResults,
+          ...(detections.length > 0 && { region: detections[0].box })
+        }),
         infection: analysisResults.infection,
         recommendations,
+        // Scores only; the wording of each issue lives in QUALITY_ISSUES
+        quality: photoQuality && {
+          ...photoQuality.scores,
+          issues: photoQuality.issues.map(({ id, severity }) => ({ id, severity })),
+          overridden: !photoQuality.passed
+        },
         analyzedAt: analysisResults.analyzedAt
       };
 
       setAnalysis(fullAnalysis);
-
-      // Upload image and save analysis to backend
-      const formData = new FormData();
-      const blob = await fetch(capturedImage).then(r => r.blob());
-      formData.append('image', blob, 'capture.jpg');
-      formData.append('userId', user.id);
-      formData.append('notes', notes);
-
-      const uploadResponse = await api.uploadImage(formData);
-
-      if (uploadResponse.success) {
-        console.log('✅ Image uploaded successfully:', uploadResponse.image.id);
-        
-        // Save analysis to backend
-        const analyzeResponse = await api.analyzeImage(uploadResponse.image.id, {
-          cancer: fullAnalysis.cancer,
-          infection: fullAnalysis.infection,
-          recommendations: fullAnalysis.recommendations
-        });
-        
-        if (analyzeResponse.success) {
-          console.log('✅ Analysis saved successfully');
-          
-          // Check if XP was awarded and gamification updated
-          if (analyzeResponse.gamification) {
-            console.log('✅ XP awarded!', analyzeResponse.gamification);
-            console.log('📊 Updated stats:', {
-              xp: analyzeResponse.gamification.xp,
-              level: analyzeResponse.gamification.level,
-              scansCompleted: analyzeResponse.gamification.stats?.scansCompleted
-            });
-            if (analyzeResponse.leveledUp) {
-              console.log('🎉 Level up! New level:', analyzeResponse.newLevel);
-              // Show level up notification
-              setTimeout(() => {
-                alert(`🎉 Level Up! You've reached level ${analyzeResponse.newLevel}!`);
-              }, 500);
-            }
-          }
-        } else {
-          console.error('❌ Failed to save analysis:', analyzeResponse);
-        }
-      } else {
-        console.error('❌ Upload failed:', uploadResponse);
-        alert('Failed to upload image. Please try again.');
-      }
+      await saveScan(lesion ? lesion.id : null, fullAnalysis);
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Analysis cancelled');
+        return;
+      }
       console.error('❌ Analysis/Upload error:', error);
       alert(`Error: ${error.message || 'Failed to analyze image. Please check your connection and try again.'}`);
     } finally {
+      if (analysisAbortRef.current === controller) analysisAbortRef.current = null;
       setLoading(false);
+      setProgress(null);
     }
   };
 
@@ -184,6 +360,10 @@ const CameraCapture = ({ user }) => {
       }
     }
     
+    if (results.cancer.patterns && results.cancer.patterns.evolving) {
+      recommendations.push('⚠️ This spot has changed since your earlier scans - show it to a dermatologist');
+    }
+    
     // General recommendations
     recommendations.push('Use sun protection (SPF 30+)');
     recommendations.push('Monitor for any changes in size, color, or texture');
@@ -191,6 +371,8 @@ const CameraCapture = ({ user }) => {
     return recommendations;
   };
 
+  const qualityBlocked = Boolean(quality && !quality.passed);
+
   const getRiskLevel = (percentage) => {
     if (percentage < 15) return { level: 'Low', color: '#22c55e' };
     if (percentage < 25) return { level: 'Moderate', color: '#f59e0b' };
@@ -218,8 +400,29 @@ const CameraCapture = ({ user }) => {
           >
             <h2>Capture Skin Image</h2>
             <p className="instruction-text">
-              Position the affected area in the frame. Ensure good lighting and focus.
+              Center the affected area in the circle and wait for the indicators to turn green.
             </p>
+            <LesionPicker userId={user.id} value={lesion ? lesion.id : ''} onChange={setLesion} />
+            <div className="reference-picker">
+              <label htmlFor="size-reference">Size reference</label>
+              <select
+                id="size-reference"
+                value={referenceId}
+                onChange={(e) => chooseReference(e.target.value)}
+              >
+                <option value="">None (sizes will be rough estimates)</option>
+                {REFERENCE_OBJECTS.map(reference => (
+                  <option key={reference.id} value={reference.id}>{reference.label}</option>
+                ))}
+              </select>
+              <p className="reference-hint">
+                Place it flat on the skin beside the spot, with the spot in the middle of the frame.{' '}
+                <a href="/calibration-sticker.svg" target="_blank" rel="noopener noreferrer">
+                  Print a calibration sticker
+                </a>{' '}
+                at 100% scale.
+              </p>
+            </div>
             <div className="webcam-wrapper">
               <Webcam
                 audio={false}
@@ -232,7 +435,16 @@ const CameraCapture = ({ user }) => {
                 }}
                 className="webcam"
               />
+              <CaptureGuide check={frameCheck} autoCapture={autoCapture} />
             </div>
+            <label className="auto-capture-toggle">
+              <input
+                type="checkbox"
+                checked={autoCapture}
+                onChange={(e) => chooseAutoCapture(e.target.checked)}
+              />
+              Capture automatically when all indicators are green
+            </label>
             <motion.button
               onClick={capture}
               whileHover={{ scale: 1.05 }}
@@ -264,7 +476,30 @@ const CameraCapture = ({ user }) => {
 
             <div className="preview-image-wrapper">
               <img src={capturedImage} alt="Captured" className="preview-image" />
+              {segmentation && (
+                <LesionOutline
+                  width={segmentation.width}
+                  height={segmentation.height}
+                  regions={outlineRegions}
+                />
+              )}
             </div>
+            {analysis && (
+              <p className="segmentation-caption">
+                {segmentation
+                  ? detections.length > 1
+                    ? `${detections.length} spots found - spot 1 is the one measured below.`
+                    : 'The outlined area is what was measured as the spot.'
+                  : 'No spot stood out from the surrounding skin - try a closer, evenly lit photo.'}
+              </p>
+            )}
+
+            {lesion && (
+              <div className="selected-spot">
+                <MapPin size={18} />
+                {lesion.name} ({bodyLocationLabel(lesion.bodyLocation)})
+              </div>
+            )}
 
             <div className="notes-section">
               <label>Add Notes (Optional)</label>
@@ -283,26 +518,36 @@ const CameraCapture = ({ user }) => {
               </div>
             )}
 
+            <PhotoQuality
+              quality={quality}
+              onRetake={retake}
+              onAnalyzeAnyway={qualityBlocked && !analysis && !loading ? () => analyzeImage({ ignoreQuality: true }) : null}
+            />
+
             {!analysis ? (
-              <motion.button
-                onClick={analyzeImage}
-                disabled={loading || modelsLoading}
-                whileHover={{ scale: 1.02 }}
-                whileTap={{ scale: 0.98 }}
-                className="analyze-button"
-              >
-                {loading ? (
-                  <>
-                    <Loader className="spinner" size={20} />
-                    Analyzing...
-                  </>
-                ) : (
-                  <>
-                    <Upload size={20} />
-                    Analyze Image
-                  </>
-                )}
-              </motion.button>
+              (!qualityBlocked || loading) && (
+                <motion.button
+                  onClick={() => analyzeImage()}
+                  disabled={loading || modelsLoading}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="analyze-button"
+                >
+                  {loading ? (
+                    <>
+                      <Loader className="spinner" size={20} />
+                      {progress
+                        ? `${progress.stage}... ${Math.round(progress.progress * 100)}%`
+                        : 'Analyzing...'}
+                    </>
+                  ) : (
+                    <>
+                      <Upload size={20} />
+                      Analyze Image
+                    </>
+                  )}
+                </motion.button>
+              )
             ) : (
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
@@ -341,7 +586,9 @@ const CameraCapture = ({ user }) => {
                       {Object.entries(analysis.cancer.patterns || {}).map(([key, value]) => (
                         <div key={key} className="pattern-item">
                           <span className="pattern-label">{key.charAt(0).toUpperCase() + key.slice(1)}</span>
-                          {value ? (
+                          {value === null ? (
+                            <span className="pattern-unknown" title="Needs earlier scans of this spot">n/a</span>
+                          ) : value ? (
                             <AlertCircle size={16} color="#ef4444" />
                           ) : (
                             <CheckCircle size={16} color="#22c55e" />
@@ -358,6 +605,19 @@ const CameraCapture = ({ user }) => {
                       <div className="lesion-measurements">
                         <div className="measurement-group">
                           <h6>Size Measurements</h6>
+                          {analysis.cancer.lesionDetails.calibrated ? (
+                            <p className="calibration-status calibrated">
+                              <CheckCircle size={16} />
+                              Calibrated with {findReferenceObject(analysis.cancer.lesionDetails.calibration.referenceId)?.label || 'reference object'}
+                            </p>
+                          ) : (
+                            <p className="calibration-status uncalibrated">
+                              <AlertCircle size={16} />
+                              {referenceId
+                                ? 'Uncalibrated estimate - the size reference was not found in the photo'
+                                : 'Uncalibrated estimate - add a size reference for real measurements'}
+                            </p>
+                          )}
                           <div className="measurement-grid">
                             <div className="measurement-item">
                               <span className="measurement-label">Width:</span>
@@ -373,7 +633,7 @@ const CameraCapture = ({ user }) => {
                             </div>
                             <div className="measurement-item">
                               <span className="measurement-label">Area:</span>
-                              <span className="measurement-value">{analysis.cancer.lesionDetails.area} px²</span>
+                              <span className="measurement-value">{analysis.cancer.lesionDetails.areaMM2} mm²</span>
                             </div>
                           </div>
                         </div>
@@ -436,6 +696,33 @@ const CameraCapture = ({ user }) => {
                           </div>
                         </div>
 
+                        <div className="measurement-group">
+                          <h6>Evolution</h6>
+                          {analysis.cancer.evolution ? (
+                            <>
+                              <p className="evolution-summary">
+                                Compared with {analysis.cancer.evolution.priorScans} earlier {analysis.cancer.evolution.priorScans === 1 ? 'scan' : 'scans'} of this spot
+                              </p>
+                              <div className="measurement-grid">
+                                {Object.entries(analysis.cancer.evolution.changes).map(([key, change]) => (
+                                  <div key={key} className="measurement-item">
+                                    <span className="measurement-label">{EVOLUTION_METRICS[key].label}:</span>
+                                    <span className={`measurement-value ${change.score >= 0.5 ? 'evolution-flagged' : ''}`}>
+                                      {formatEvolutionChange(key, change)} since {change.since === 'baseline' ? 'first' : 'last'} scan
+                                    </span>
+                                  </div>
+                                ))}
+                              </div>
+                            </>
+                          ) : (
+                            <p className="evolution-summary">
+                              {lesion
+                                ? 'This is the first analyzed scan of this spot. Evolving will be assessed from your next scan.'
+                                : 'Link scans to a tracked spot to assess whether it is evolving.'}
+                            </p>
+                          )}
+                        </div>
+
                         <div className="measurement-group">
                           <h6>ABCDE Scores</h6>
                           <div className="abcde-scores">
@@ -480,17 +767,36 @@ const CameraCapture = ({ user }) => {
                             </div>
                             <div className="score-item">
                               <span className="score-label">D (Diameter):</span>
-                              <div className="score-bar">
-                                <div 
-                                  className="score-fill" 
-                                  style={{ 
-                                    width: `${analysis.cancer.lesionDetails.diameter * 100}%`,
-                                    backgroundColor: analysis.cancer.lesionDetails.diameter > 0.5 ? '#ef4444' : '#22c55e'
-                                  }}
-                                />
-                                <span className="score-value">{(analysis.cancer.lesionDetails.diameter * 100).toFixed(0)}%</span>
-                              </div>
+                              {analysis.cancer.lesionDetails.calibrated ? (
+                                <div className="score-bar">
+                                  <div 
+                                    className="score-fill" 
+                                    style={{ 
+                                      width: `${analysis.cancer.lesionDetails.diameter * 100}%`,
+                                      backgroundColor: analysis.cancer.lesionDetails.diameter > 0.5 ? '#ef4444' : '#22c55e'
+                                    }}
+                                  />
+                                  <span className="score-value">{(analysis.cancer.lesionDetails.diameter * 100).toFixed(0)}%</span>
+                                </div>
+                              ) : (
+                                <span className="pattern-unknown">n/a - uncalibrated</span>
+                              )}
                             </div>
+                            {analysis.cancer.evolution && (
+                              <div className="score-item">
+                                <span className="score-label">E (Evolving):</span>
+                                <div className="score-bar">
+                                  <div 
+                                    className="score-fill" 
+                                    style={{ 
+                                      width: `${analysis.cancer.evolution.score * 100}%`,
+                                      backgroundColor: analysis.cancer.evolution.evolving ? '#ef4444' : '#22c55e'
+                                    }}
+                                  />
+                                  <span className="score-value">{(analysis.cancer.evolution.score * 100).toFixed(0)}%</span>
+                                </div>
+                              </div>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -498,6 +804,17 @@ const CameraCapture = ({ user }) => {
                   )}
                 </div>
 
+                {detections.length > 1 && (
+                  <DetectedSpots
+                    detections={detections.map((detection, idx) => ({
+                      ...detection,
+                      color: SPOT_COLORS[idx % SPOT_COLORS.length]
+                    }))}
+                    mainLesion={lesion}
+                    onTrack={trackDetection}
+                  />
+                )}
+
                 {/* Infection Detection Results */}
                 <div className="analysis-section infection-analysis">
                   <h4 className="section-title">
@@ -570,11 +887,8 @@ const CameraCapture = ({ user }) => {
                     <motion.button
                       onClick={async () => {
                         try {
-                          const response = await axios.get(
-                            `${API_BASE_URL}/api/generate-pdf/${user.id}`,
-                            { responseType: 'blob' }
-                          );
-                          const url = window.URL.createObjectURL(new Blob([response.data]));
+                          const pdfBlob = await api.downloadReport(user.id);
+                          const url = window.URL.createObjectURL(pdfBlob);
                           const link = document.createElement('a');
                           link.href = url;
                           link.setAttribute('download', `SkinGuard-Report-${user.name}-${Date.now()}.pdf`);
@@ -0,0 +1,37 @@
+import React from 'react';
+import './CaptureGuide.css';
+
+const INDICATORS = [
+  { key: 'sharpness', label: 'Sharpness' },
+  { key: 'brightness', label: 'Brightness' },
+  { key: 'centering', label: 'Centering' }
+];
+
+// Overlay for the live camera view: a target to aim the spot at, and a
+// traffic light per check from assessFrame (see utils/imageQuality.js).
+// check is null until the first frame has been looked at.
+const CaptureGuide = ({ check, autoCapture }) => (
+  <div className="capture-guide">
+    <div className={`capture-guide-target ${check ? check.centering.status : ''}`} />
+
+    <div className="capture-guide-indicators">
+      {check ? (
+        INDICATORS.map(({ key, label }) => (
+          <div key={key} className={`capture-guide-indicator ${check[key].status}`} title={check[key].hint}>
+            <span className="capture-guide-dot" />
+            <span className="capture-guide-label">{label}</span>
+            <span className="capture-guide-hint">{check[key].hint}</span>
+          </div>
+        ))
+      ) : (
+        <span className="capture-guide-waiting">Checking the camera...</span>
+      )}
+    </div>
+
+    {check && check.ready && autoCapture && (
+      <div className="capture-guide-ready">Hold still - capturing...</div>
+    )}
+  </div>
+);
+
+export default CaptureGuide;
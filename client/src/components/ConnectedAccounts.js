@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import FacebookLogin from 'react-facebook-login';
+import { KeyRound, Link2, Unlink } from 'lucide-react';
+import GoogleLoginButton from './GoogleLoginButton';
+import api from '../utils/api';
+import './ConnectedAccounts.css';
+
+const PROVIDER_LABELS = {
+  password: 'Email & Password',
+  google: 'Google',
+  facebook: 'Facebook'
+};
+
+const ConnectedAccounts = ({ hasGoogleOAuth = false }) => {
+  const [methods, setMethods] = useState([]);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [newPassword, setNewPassword] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+
+  useEffect(() => {
+    loadMethods();
+  }, []);
+
+  const loadMethods = async () => {
+    try {
+      const response = await api.getAuthMethods();
+      setMethods(response.methods || []);
+    } catch (err) {
+      console.error('Error loading sign-in methods:', err);
+      setError('Could not load sign-in methods.');
+    }
+  };
+
+  const connectedCount = methods.filter(m => m.connected).length;
+  const isConnected = (provider) => methods.some(m => m.provider === provider && m.connected);
+
+  const runAction = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      const response = await action();
+      setMethods(response.methods || []);
+      return true;
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUnlink = (provider) => {
+    if (!window.confirm(`Disconnect ${PROVIDER_LABELS[provider]}? You will no longer be able to sign in with it.`)) {
+      return;
+    }
+    runAction(() => api.unlinkAuthMethod(provider));
+  };
+
+  const handleGoogleLink = (tokenResponse) => {
+    runAction(() => api.linkAuthMethod('google', { token: tokenResponse.access_token }));
+  };
+
+  const handleFacebookLink = (response) => {
+    if (!response.accessToken) return;
+    runAction(() => api.linkAuthMethod('facebook', {
+      accessToken: response.accessToken,
+      userID: response.userID
+    }));
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    const saved = await runAction(() => api.linkAuthMethod('password', {
+      password: newPassword,
+      currentPassword: currentPassword || undefined
+    }));
+    if (saved) {
+      setShowPasswordForm(false);
+      setNewPassword('');
+      setCurrentPassword('');
+    }
+  };
+
+  const renderConnectButton = (provider) => {
+    if (provider === 'google') {
+      return hasGoogleOAuth ? (
+        <GoogleLoginButton
+          onSuccess={handleGoogleLink}
+          onError={() => setError('Google sign-in was cancelled.')}
+          disabled={busy}
+        />
+      ) : (
+        <span className="method-unavailable">Google sign-in not configured</span>
+      );
+    }
+
+    if (provider === 'facebook') {
+      return process.env.REACT_APP_FACEBOOK_APP_ID ? (
+        <FacebookLogin
+          appId={process.env.REACT_APP_FACEBOOK_APP_ID}
+          autoLoad={false}
+          fields="name,email,picture"
+          callback={handleFacebookLink}
+          cssClass="oauth-button facebook-button"
+          textButton="Connect Facebook"
+        />
+      ) : (
+        <span className="method-unavailable">Facebook sign-in not configured</span>
+      );
+    }
+
+    return (
+      <motion.button
+        onClick={() => setShowPasswordForm(true)}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        className="method-button"
+        disabled={busy}
+      >
+        <KeyRound size={16} />
+        Set Password
+      </motion.button>
+    );
+  };
+
+  return (
+    <div className="profile-section connected-accounts">
+      <h2>Sign-in Methods</h2>
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="methods-list">
+        {methods.map(({ provider, connected }) => (
+          <div key={provider} className={`method-row ${connected ? 'connected' : ''}`}>
+            <div className="method-info">
+              <Link2 size={20} />
+              <div>
+                <label>{PROVIDER_LABELS[provider]}</label>
+                <p>{connected ? 'Connected' : 'Not connected'}</p>
+              </div>
+            </div>
+
+            {connected ? (
+              <motion.button
+                onClick={() => handleUnlink(provider)}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                className="method-button unlink"
+                disabled={busy || connectedCount <= 1}
+                title={connectedCount <= 1 ? 'You need at least one way to sign in' : undefined}
+              >
+                <Unlink size={16} />
+                Disconnect
+              </motion.button>
+            ) : renderConnectButton(provider)}
+          </div>
+        ))}
+      </div>
+
+      {showPasswordForm && (
+        <form onSubmit={handlePasswordSubmit} className="password-form">
+          {isConnected('password') && (
+            <input
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              placeholder="Current password"
+              required
+            />
+          )}
+          <input
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            placeholder="New password (min. 8 characters)"
+            minLength={8}
+            required
+          />
+          <div className="password-form-actions">
+            <button type="submit" className="method-button" disabled={busy}>Save Password</button>
+            <button type="button" className="method-button unlink" onClick={() => setShowPasswordForm(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ConnectedAccounts;
@@ -3,6 +3,7 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Camera, Clock, MessageCircle, User, LogOut, Shield, TrendingUp, Share2, RefreshCw, Gamepad2 } from 'lucide-react';
 import MedicationTracker from './MedicationTracker';
+import LesionBodyMap from './LesionBodyMap';
 import GamificationBar from './GamificationBar';
 import LevelDisplay from './LevelDisplay';
 import StreakDisplay from './StreakDisplay';
@@ -253,6 +254,8 @@ const Dashboard = ({ user, onLogout }) => {
 
       <MedicationTracker user={user} />
 
+      <LesionBodyMap user={user} />
+
       <div className="menu-grid">
         {menuItems.map((item, index) => {
           const Icon = item.icon;
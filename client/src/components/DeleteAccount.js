@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Trash2, Undo2 } from 'lucide-react';
+import api from '../utils/api';
+import './DeleteAccount.css';
+
+const DeleteAccount = ({ deletionScheduledAt, onChange }) => {
+  const [confirming, setConfirming] = useState(false);
+  const [requiresPassword, setRequiresPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const openConfirmation = async () => {
+    setError('');
+    setConfirming(true);
+    try {
+      const response = await api.getAuthMethods();
+      setRequiresPassword((response.methods || []).some(m => m.provider === 'password' && m.connected));
+    } catch (err) {
+      // Fall back to asking for it; the server ignores it for OAuth-only accounts
+      setRequiresPassword(true);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setError('');
+    setBusy(true);
+    try {
+      const response = await api.deleteAccount({ password, confirmation });
+      setConfirming(false);
+      setPassword('');
+      setConfirmation('');
+      onChange(response.deletionScheduledAt);
+    } catch (err) {
+      setError(err.message || 'Could not delete your account. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      await api.cancelAccountDeletion();
+      onChange(null);
+    } catch (err) {
+      setError(err.message || 'Could not cancel deletion. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="profile-section danger-zone">
+      <h2>Delete Account</h2>
+      {error && <div className="error-message">{error}</div>}
+
+      {deletionScheduledAt ? (
+        <div className="deletion-scheduled">
+          <p>
+            Your account and all of its scans, medications and chat history will be permanently
+            deleted on <strong>{new Date(deletionScheduledAt).toLocaleDateString()}</strong>.
+          </p>
+          <motion.button
+            onClick={handleCancelDeletion}
+            disabled={busy}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            className="data-action-button"
+          >
+            <Undo2 size={20} />
+            Keep My Account
+          </motion.button>
+        </div>
+      ) : confirming ? (
+        <form onSubmit={handleDelete} className="delete-confirm-form">
+          <p>
+            This removes your profile, every scan (including stored photos), medications, chat
+            history and progress. You'll have a grace period to change your mind before it's final.
+          </p>
+          {requiresPassword && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Your password"
+              required
+            />
+          )}
+          <input
+            type="text"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Type DELETE to confirm"
+            required
+          />
+          <div className="delete-confirm-actions">
+            <button
+              type="submit"
+              className="delete-account-button"
+              disabled={busy || confirmation !== 'DELETE'}
+            >
+              <Trash2 size={18} />
+              {busy ? 'Deleting...' : 'Delete My Account'}
+            </button>
+            <button type="button" className="method-button" onClick={() => setConfirming(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <p className="section-description">
+            Permanently remove your account and everything stored with it. Consider downloading your
+            data first.
+          </p>
+          <motion.button
+            onClick={openConfirmation}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            className="delete-account-button"
+          >
+            <Trash2 size={18} />
+            Delete Account
+          </motion.button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeleteAccount;
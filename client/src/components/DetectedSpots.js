@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Plus, X, CheckCircle } from 'lucide-react';
+import { BODY_LOCATIONS } from '../data/bodyLocations';
+import './DetectedSpots.css';
+
+const PATTERN_LABELS = { asymmetry: 'Asymmetry', border: 'Border', color: 'Color', diameter: 'Diameter' };
+
+const warningSigns = (patterns) => Object.keys(PATTERN_LABELS).filter(key => patterns[key]);
+
+// Every spot found in one photo, numbered like their outlines on the photo.
+// Spot 1 is the one saved with the scan; the others can each be tracked as a
+// lesion of their own via onTrack(detection, { name, bodyLocation, bodyPosition }),
+// which resolves with the new lesion.
+const DetectedSpots = ({ detections, mainLesion, onTrack }) => {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState({ name: '', bodyLocation: '' });
+  const [tracked, setTracked] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState('');
+
+  const startTracking = (idx) => {
+    setEditing(idx);
+    setDraft({
+      name: mainLesion ? `${mainLesion.name} - spot ${idx + 1}` : `Spot ${idx + 1}`,
+      bodyLocation: mainLesion ? mainLesion.bodyLocation : ''
+    });
+    setFieldErrors({});
+    setFormError('');
+  };
+
+  const track = async (idx) => {
+    setSaving(true);
+    setFieldErrors({});
+    setFormError('');
+    try {
+      // Spots in the same photo sit where the main one does on the body map
+      const lesion = await onTrack(detections[idx], {
+        ...draft,
+        bodyPosition: mainLesion && mainLesion.bodyPosition ? mainLesion.bodyPosition : null
+      });
+      setTracked(prev => ({ ...prev, [idx]: lesion }));
+      setEditing(null);
+    } catch (error) {
+      console.error('Error tracking spot:', error);
+      if (error.fieldErrors) {
+        setFieldErrors(error.fieldErrors);
+      } else {
+        setFormError(error.message || 'Failed to save this spot. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="detail-section detected-spots">
+      <h5>Spots Found in This Photo</h5>
+      <p className="detected-spots-hint">
+        Spot 1 is saved with this scan. Track any of the others to follow them over time too.
+      </p>
+
+      {detections.map((detection, idx) => {
+        const { lesionDetails, patterns, color } = detection;
+        const signs = warningSigns(patterns);
+        return (
+          <div key={idx} className="detected-spot">
+            <span className="detected-spot-number" style={{ background: color }}>{idx + 1}</span>
+            <div className="detected-spot-body">
+              <div className="detected-spot-summary">
+                <strong>{idx === 0 && mainLesion ? mainLesion.name : `Spot ${idx + 1}`}</strong>
+                <span>
+                  {lesionDetails.diameterMM} mm{lesionDetails.calibrated ? '' : ' (uncalibrated)'} · {lesionDetails.shape}
+                </span>
+                <span className={signs.length > 0 ? 'detected-spot-signs warning' : 'detected-spot-signs'}>
+                  {signs.length > 0
+                    ? `Warning signs: ${signs.map(key => PATTERN_LABELS[key]).join(', ')}`
+                    : 'No ABCD warning signs'}
+                </span>
+              </div>
+
+              {idx === 0 ? (
+                <span className="detected-spot-status">Saved with this scan</span>
+              ) : tracked[idx] ? (
+                <span className="detected-spot-status">
+                  <CheckCircle size={16} /> Tracking as {tracked[idx].name}
+                </span>
+              ) : editing === idx ? (
+                <div className="detected-spot-form">
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    placeholder="Name this spot"
+                    maxLength={100}
+                  />
+                  {fieldErrors.name && <span className="field-error">{fieldErrors.name[0]}</span>}
+                  <select
+                    value={draft.bodyLocation}
+                    onChange={(e) => setDraft({ ...draft, bodyLocation: e.target.value })}
+                  >
+                    <option value="">Where on the body?</option>
+                    {BODY_LOCATIONS.map(location => (
+                      <option key={location.id} value={location.id}>{location.label}</option>
+                    ))}
+                  </select>
+                  {fieldErrors.bodyLocation && <span className="field-error">{fieldErrors.bodyLocation[0]}</span>}
+                  {formError && <div className="form-error">{formError}</div>}
+                  <div className="detected-spot-actions">
+                    <button className="detected-spot-cancel" onClick={() => setEditing(null)} disabled={saving}>
+                      <X size={16} /> Cancel
+                    </button>
+                    <button className="detected-spot-save" onClick={() => track(idx)} disabled={saving}>
+                      <Plus size={16} /> {saving ? 'Saving...' : 'Track spot'}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button className="detected-spot-track" onClick={() => startTracking(idx)}>
+                  <Plus size={16} /> Track as a new spot
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DetectedSpots;
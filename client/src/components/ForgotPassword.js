@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Mail, Shield } from 'lucide-react';
+import api from '../utils/api';
+import './Login.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const response = await api.forgotPassword(email);
+      setMessage(response.message || 'If an account exists for that email, a reset link has been sent.');
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError(err.message || 'Could not send reset link. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="login-card"
+      >
+        <div className="login-header">
+          <Shield className="logo-icon" />
+          <h1>Forgot Password</h1>
+          <p className="tagline">We'll email you a link to choose a new one</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
+
+          <div className="input-group">
+            <label>Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              placeholder="Enter your account email"
+            />
+          </div>
+
+          <motion.button
+            type="submit"
+            disabled={loading}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            className="login-button"
+          >
+            {loading ? 'Sending...' : (
+              <>
+                <Mail size={20} />
+                Send Reset Link
+              </>
+            )}
+          </motion.button>
+        </form>
+
+        <p className="register-link">
+          Remembered it? <Link to="/login">Back to login</Link>
+        </p>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
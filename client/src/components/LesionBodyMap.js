@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MapPin } from 'lucide-react';
+import api from '../utils/api';
+import { BODY_MAP_VIEWS, lesionPosition } from '../data/bodyMap';
+import { bodyLocationLabel } from '../data/bodyLocations';
+import BodyMap from './BodyMap';
+import './LesionBodyMap.css';
+
+// Same thresholds as the risk badges on the results screen and timeline
+const RISK_LEVELS = [
+  { label: 'Low', color: '#22c55e', below: 15 },
+  { label: 'Moderate', color: '#f59e0b', below: 25 },
+  { label: 'High', color: '#ef4444', below: Infinity }
+];
+const NOT_ANALYZED = { label: 'Not analyzed', color: '#9ca3af' };
+
+const riskLevel = (percentage) => (
+  percentage === null ? NOT_ANALYZED : RISK_LEVELS.find(level => percentage < level.below)
+);
+
+// Cancer risk of a lesion's newest analyzed scan, or null
+const latestRisk = (lesionId, images) => {
+  const analyzed = images
+    .filter(img => img.lesionId === lesionId && img.analysis && img.analysis.cancer)
+    .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+  return analyzed.length > 0 ? analyzed[0].analysis.cancer.cancerPercentage : null;
+};
+
+// Dashboard overview: every tracked lesion on the body, colored by its latest risk
+const LesionBodyMap = ({ user }) => {
+  const [lesions, setLesions] = useState([]);
+  const [images, setImages] = useState([]);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    Promise.all([api.getLesions(user.id), api.getImages(user.id)])
+      .then(([lesionResponse, imageResponse]) => {
+        setLesions(lesionResponse.lesions || []);
+        setImages(imageResponse.images || []);
+      })
+      .catch(error => console.error('Error loading body map:', error));
+  }, [user.id]);
+
+  const placed = lesions.map(lesion => {
+    const risk = latestRisk(lesion.id, images);
+    const level = riskLevel(risk);
+    return {
+      lesion,
+      position: lesionPosition(lesion),
+      color: level.color,
+      label: `${lesion.name} - ${risk === null ? level.label : `${risk}% risk`}`
+    };
+  });
+  const offMap = placed.filter(({ position }) => !position);
+
+  const openLesion = (lesionId) => navigate('/timeline', { state: { lesionId } });
+
+  return (
+    <div className="lesion-body-map">
+      <div className="lesion-body-map-header">
+        <h2>
+          <MapPin size={28} />
+          Body Map
+        </h2>
+        <p>Your tracked spots, colored by their latest scan</p>
+      </div>
+
+      {lesions.length === 0 ? (
+        <div className="lesion-body-map-empty">
+          <p>No tracked spots yet. Choose where a spot is on the body when you capture it.</p>
+          <button className="lesion-body-map-capture" onClick={() => navigate('/camera')}>
+            Capture & Analyze
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="lesion-body-map-views">
+            {BODY_MAP_VIEWS.map(view => (
+              <div key={view} className="lesion-body-map-view">
+                <span className="lesion-body-map-view-label">{view === 'front' ? 'Front' : 'Back'}</span>
+                <BodyMap
+                  view={view}
+                  markers={placed
+                    .filter(({ position }) => position && position.view === view)
+                    .map(({ lesion, position, color, label }) => ({
+                      id: lesion.id,
+                      x: position.x,
+                      y: position.y,
+                      color,
+                      label
+                    }))}
+                  onSelectMarker={openLesion}
+                />
+              </div>
+            ))}
+          </div>
+
+          {offMap.length > 0 && (
+            <div className="lesion-body-map-other">
+              {offMap.map(({ lesion, color, label }) => (
+                <button key={lesion.id} onClick={() => openLesion(lesion.id)}>
+                  <span className="lesion-body-map-dot" style={{ background: color }} />
+                  {label} ({bodyLocationLabel(lesion.bodyLocation)})
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="lesion-body-map-legend">
+            {[...RISK_LEVELS, NOT_ANALYZED].map(level => (
+              <span key={level.label}>
+                <span className="lesion-body-map-dot" style={{ background: level.color }} />
+                {level.label}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LesionBodyMap;
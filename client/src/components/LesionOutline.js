@@ -0,0 +1,53 @@
+import React, { useRef, useEffect } from 'react';
+import './LesionOutline.css';
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// Draws segmentation masks over the photo they came from.
+// width/height are the mask's working size; the canvas is stretched over the image by CSS.
+// Each region ({ mask, color, box, label }) is tinted, with its border drawn solid;
+// a label, if given, is pinned to the top-left of its box.
+const LesionOutline = ({ width, height, regions }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+
+    regions.forEach(({ mask, color }) => {
+      const [r, g, b] = hexToRgb(color);
+      const inMask = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (!inMask(x, y)) continue;
+          const border = !inMask(x - 1, y) || !inMask(x + 1, y) || !inMask(x, y - 1) || !inMask(x, y + 1);
+          const i = (y * width + x) * 4;
+          image.data[i] = r;
+          image.data[i + 1] = g;
+          image.data[i + 2] = b;
+          image.data[i + 3] = border ? 255 : 60;
+        }
+      }
+    });
+    ctx.putImageData(image, 0, 0);
+  }, [width, height, regions]);
+
+  return (
+    <>
+      <canvas ref={canvasRef} width={width} height={height} className="lesion-outline" aria-hidden="true" />
+      {regions.filter(region => region.label).map(({ label, box, color }) => (
+        <span
+          key={label}
+          className="lesion-outline-label"
+          style={{ left: `${(box.x / width) * 100}%`, top: `${(box.y / height) * 100}%`, background: color }}
+        >
+          {label}
+        </span>
+      ))}
+    </>
+  );
+};
+
+export default LesionOutline;
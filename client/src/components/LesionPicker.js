@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, X } from 'lucide-react';
+import api from '../utils/api';
+import { BODY_LOCATIONS, bodyLocationLabel } from '../data/bodyLocations';
+import { lesionPosition } from '../data/bodyMap';
+import BodyMap from './BodyMap';
+import './LesionPicker.css';
+
+const NEW_LESION = 'new';
+const MARKER_COLOR = '#8b5cf6';
+const today = () => new Date().toISOString().split('T')[0];
+const emptyDraft = () => ({ name: '', bodyLocation: '', bodyPosition: null, firstSeenAt: today() });
+
+// Picks which tracked spot a scan belongs to, or starts tracking a new one.
+// Tapping the body map selects a lesion's marker or places a new spot.
+// `value` is the selected lesion id ('' for none); onChange gets the lesion or null.
+const LesionPicker = ({ userId, value, onChange }) => {
+  const [lesions, setLesions] = useState([]);
+  const [view, setView] = useState('front');
+  const [creating, setCreating] = useState(false);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [saving, setSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState('');
+
+  useEffect(() => {
+    api.getLesions(userId)
+      .then(response => setLesions(response.lesions || []))
+      .catch(error => console.error('Error loading lesions:', error));
+  }, [userId]);
+
+  const selectLesion = (lesionId) => {
+    const lesion = lesions.find(l => l.id === lesionId) || null;
+    if (lesion) {
+      const position = lesionPosition(lesion);
+      if (position) setView(position.view);
+    }
+    onChange(lesion);
+  };
+
+  const handleSelect = (e) => {
+    if (e.target.value === NEW_LESION) {
+      setCreating(true);
+      return;
+    }
+    selectLesion(e.target.value);
+  };
+
+  const handlePick = ({ region, view: pickedView, x, y }) => {
+    setCreating(true);
+    setDraft({ ...draft, bodyLocation: region, bodyPosition: { view: pickedView, x, y } });
+  };
+
+  const cancelNew = () => {
+    setCreating(false);
+    setDraft(emptyDraft());
+    setFieldErrors({});
+    setFormError('');
+  };
+
+  const createLesion = async () => {
+    setSaving(true);
+    setFieldErrors({});
+    setFormError('');
+    try {
+      const response = await api.addLesion(userId, draft);
+      setLesions(prev => [...prev, response.lesion]);
+      setDraft(emptyDraft());
+      setCreating(false);
+      onChange(response.lesion);
+    } catch (error) {
+      console.error('Error creating lesion:', error);
+      if (error.fieldErrors) {
+        setFieldErrors(error.fieldErrors);
+      } else {
+        setFormError(error.message || 'Failed to save this spot. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderFieldError = (field) => (
+    fieldErrors[field] ? <span className="field-error">{fieldErrors[field][0]}</span> : null
+  );
+
+  const markers = lesions
+    .map(lesion => ({ lesion, position: lesionPosition(lesion) }))
+    .filter(({ position }) => position && position.view === view)
+    .map(({ lesion, position }) => ({
+      id: lesion.id,
+      x: position.x,
+      y: position.y,
+      color: MARKER_COLOR,
+      label: lesion.name
+    }));
+
+  return (
+    <div className="lesion-picker">
+      <label htmlFor="lesion-select">Which spot is this?</label>
+      <p className="lesion-picker-hint">Tap a marker to add to a tracked spot, or tap where a new spot is.</p>
+
+      <div className="lesion-map">
+        <div className="lesion-map-views">
+          {['front', 'back'].map(option => (
+            <button
+              key={option}
+              type="button"
+              className={`lesion-map-view ${view === option ? 'active' : ''}`}
+              onClick={() => setView(option)}
+            >
+              {option === 'front' ? 'Front' : 'Back'}
+            </button>
+          ))}
+        </div>
+        <BodyMap
+          view={view}
+          markers={markers}
+          selectedId={creating ? null : value}
+          pendingPoint={creating ? draft.bodyPosition : null}
+          highlightRegion={creating ? draft.bodyLocation : null}
+          onPick={handlePick}
+          onSelectMarker={(lesionId) => {
+            cancelNew();
+            selectLesion(lesionId);
+          }}
+        />
+      </div>
+
+      {!creating ? (
+        <select id="lesion-select" value={value} onChange={handleSelect}>
+          <option value="">Not a tracked spot</option>
+          {lesions.map(lesion => (
+            <option key={lesion.id} value={lesion.id}>
+              {lesion.name} ({bodyLocationLabel(lesion.bodyLocation)})
+            </option>
+          ))}
+          <option value={NEW_LESION}>+ Start tracking a new spot...</option>
+        </select>
+      ) : (
+        <div className="lesion-new-form">
+          {formError && <div className="form-error">{formError}</div>}
+          <input
+            type="text"
+            value={draft.name}
+            maxLength={100}
+            placeholder="Name, e.g. Mole on left shoulder"
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          {renderFieldError('name')}
+          <select
+            value={draft.bodyLocation}
+            // Choosing a region by hand drops a tapped position elsewhere
+            onChange={(e) => setDraft({ ...draft, bodyLocation: e.target.value, bodyPosition: null })}
+          >
+            <option value="">Where on the body? (or tap the map)</option>
+            {BODY_LOCATIONS.map(location => (
+              <option key={location.id} value={location.id}>{location.label}</option>
+            ))}
+          </select>
+          {renderFieldError('bodyLocation')}
+          <label className="lesion-first-seen">
+            <span>First noticed</span>
+            <input
+              type="date"
+              value={draft.firstSeenAt}
+              max={today()}
+              onChange={(e) => setDraft({ ...draft, firstSeenAt: e.target.value })}
+            />
+          </label>
+          {renderFieldError('firstSeenAt')}
+          <div className="lesion-new-actions">
+            <button type="button" className="lesion-cancel-button" onClick={cancelNew} disabled={saving}>
+              <X size={16} />
+              Cancel
+            </button>
+            <button type="button" className="lesion-create-button" onClick={createLesion} disabled={saving}>
+              <Plus size={16} />
+              {saving ? 'Saving...' : 'Track this spot'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LesionPicker;
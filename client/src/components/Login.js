@@ -8,9 +8,6 @@ import GoogleLoginButton from './GoogleLoginButton';
 import api from '../utils/api';
 import './Login.css';
 
-// Get API base URL for direct axios calls
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-
 const Login = ({ onLogin, hasGoogleOAuth = false }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -49,12 +46,10 @@ const Login = ({ onLogin, hasGoogleOAuth = false }) => {
         headers: { Authorization: `Bearer ${tokenResponse.access_token}` }
       });
       
-      const response = await axios.post(`${API_BASE_URL}/api/auth/google`, {
-        token: tokenResponse.access_token
-      });
+      const response = await api.loginWithGoogle(tokenResponse.access_token);
 
-      if (response.data.success) {
-        onLogin(response.data.user);
+      if (response.success) {
+        onLogin(response.user);
         navigate('/dashboard');
       }
     } catch (err) {
@@ -69,7 +64,7 @@ const Login = ({ onLogin, hasGoogleOAuth = false }) => {
   const handleFacebookLogin = async (response) => {
     try {
       if (response.accessToken) {
-        const authResponse = await axios.post(`${API_BASE_URL}/api/auth/facebook`, {
+        const authResponse = await api.loginWithFacebook({
           accessToken: response.accessToken,
           userID: response.userID,
           name: response.name,
@@ -77,13 +72,13 @@ const Login = ({ onLogin, hasGoogleOAuth = false }) => {
           picture: response.picture
         });
 
-        if (authResponse.data.success) {
-          onLogin(authResponse.data.user);
+        if (authResponse.success) {
+          onLogin(authResponse.user);
           navigate('/dashboard');
         }
       }
     } catch (err) {
-      setError('Facebook login failed. Please try again.');
+      setError(err.status === 409 ? err.message : 'Facebook login failed. Please try again.');
     }
   };
 
@@ -131,6 +126,10 @@ const Login = ({ onLogin, hasGoogleOAuth = false }) => {
             />
           </div>
 
+          <p className="forgot-link">
+            <Link to="/forgot-password">Forgot password?</Link>
+          </p>
+
           <motion.button
             type="submit"
             disabled={loading}
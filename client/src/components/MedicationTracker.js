@@ -15,6 +15,8 @@ const MedicationTracker = ({ user }) => {
     startDate: new Date().toISOString().split('T')[0],
     duration: 7
   });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState('');
 
   useEffect(() => {
     if (user && user.id) {
@@ -36,8 +38,12 @@ const MedicationTracker = ({ user }) => {
   };
 
   const addMedication = async () => {
-    if (!newMedication.name.trim() || !newMedication.dosage.trim()) {
-      alert('Please fill in medication name and dosage');
+    const missing = {};
+    if (!newMedication.name.trim()) missing.name = ['Medication name is required'];
+    if (!newMedication.dosage.trim()) missing.dosage = ['Dosage is required'];
+    setFieldErrors(missing);
+    setFormError('');
+    if (Object.keys(missing).length > 0) {
       return;
     }
 
@@ -45,7 +51,7 @@ const MedicationTracker = ({ user }) => {
       const response = await api.addMedication(user.id, newMedication);
       if (response && response.success) {
         setMedications([...medications, response.medication]);
-        setShowAddForm(false);
+        closeAddForm();
         setNewMedication({
           name: '',
           dosage: '',
@@ -57,11 +63,38 @@ const MedicationTracker = ({ user }) => {
       }
     } catch (error) {
       console.error('Error adding medication:', error);
-      const errorMessage = error.message || 'Failed to add medication. Please try again.';
-      alert(errorMessage);
+      if (error.fieldErrors) {
+        setFieldErrors(error.fieldErrors);
+        setFormError('Please correct the highlighted fields.');
+      } else {
+        setFormError(error.message || 'Failed to add medication. Please try again.');
+      }
+    }
+  };
+
+  const closeAddForm = () => {
+    setShowAddForm(false);
+    setFieldErrors({});
+    setFormError('');
+  };
+
+  const updateField = (field, value) => {
+    setNewMedication({ ...newMedication, [field]: value });
+    if (fieldErrors[field]) {
+      const { [field]: removed, ...rest } = fieldErrors;
+      setFieldErrors(rest);
     }
   };
 
+  const renderFieldError = (field) => (
+    fieldErrors[field] ? <span className="field-error">{fieldErrors[field][0]}</span> : null
+  );
+
+  // Errors on individual schedule times (times.0, times.1, ...) are shown together
+  const timesError = Object.keys(fieldErrors)
+    .filter(field => field === 'times' || field.startsWith('times.'))
+    .map(field => fieldErrors[field][0])[0];
+
   const markTaken = async (medId, time) => {
     try {
       const response = await api.markMedicationTaken(user.id, medId, time);
@@ -147,7 +180,7 @@ const MedicationTracker = ({ user }) => {
           )}
         </div>
         <motion.button
-          onClick={() => setShowAddForm(!showAddForm)}
+          onClick={() => (showAddForm ? closeAddForm() : setShowAddForm(true))}
           whileHover={{ scale: 1.05 }}
           whileTap={{ scale: 0.95 }}
           className="add-med-button"
@@ -165,41 +198,58 @@ const MedicationTracker = ({ user }) => {
           className="add-med-form"
         >
           <h3>Add New Medication</h3>
+          {formError && <div className="form-error">{formError}</div>}
           <div className="form-row">
-            <input
-              type="text"
-              placeholder="Medication Name"
-              value={newMedication.name}
-              onChange={(e) => setNewMedication({...newMedication, name: e.target.value})}
-            />
-            <input
-              type="text"
-              placeholder="Dosage (e.g., 500mg)"
-              value={newMedication.dosage}
-              onChange={(e) => setNewMedication({...newMedication, dosage: e.target.value})}
-            />
+            <div className="form-field">
+              <input
+                type="text"
+                placeholder="Medication Name"
+                value={newMedication.name}
+                onChange={(e) => updateField('name', e.target.value)}
+              />
+              {renderFieldError('name')}
+            </div>
+            <div className="form-field">
+              <input
+                type="text"
+                placeholder="Dosage (e.g., 500mg)"
+                value={newMedication.dosage}
+                onChange={(e) => updateField('dosage', e.target.value)}
+              />
+              {renderFieldError('dosage')}
+            </div>
           </div>
           <div className="form-row">
-            <select
-              value={newMedication.frequency}
-              onChange={(e) => updateFrequency(e.target.value)}
-            >
-              <option value="daily">Once Daily</option>
-              <option value="twice">Twice Daily</option>
-              <option value="three">Three Times Daily</option>
-            </select>
-            <input
-              type="date"
-              value={newMedication.startDate}
-              onChange={(e) => setNewMedication({...newMedication, startDate: e.target.value})}
-            />
-            <input
-              type="number"
-              placeholder="Duration (days)"
-              value={newMedication.duration}
-              onChange={(e) => setNewMedication({...newMedication, duration: parseInt(e.target.value) || 7})}
-              min="1"
-            />
+            <div className="form-field">
+              <select
+                value={newMedication.frequency}
+                onChange={(e) => updateFrequency(e.target.value)}
+              >
+                <option value="daily">Once Daily</option>
+                <option value="twice">Twice Daily</option>
+                <option value="three">Three Times Daily</option>
+              </select>
+              {renderFieldError('frequency')}
+              {timesError && <span className="field-error">{timesError}</span>}
+            </div>
+            <div className="form-field">
+              <input
+                type="date"
+                value={newMedication.startDate}
+                onChange={(e) => updateField('startDate', e.target.value)}
+              />
+              {renderFieldError('startDate')}
+            </div>
+            <div className="form-field">
+              <input
+                type="number"
+                placeholder="Duration (days)"
+                value={newMedication.duration}
+                onChange={(e) => updateField('duration', parseInt(e.target.value) || 7)}
+                min="1"
+              />
+              {renderFieldError('duration')}
+            </div>
           </div>
           <div className="form-actions">
             <motion.button
@@ -211,7 +261,7 @@ const MedicationTracker = ({ user }) => {
               Add Medication
             </motion.button>
             <motion.button
-              onClick={() => setShowAddForm(false)}
+              onClick={closeAddForm}
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               className="cancel-button"
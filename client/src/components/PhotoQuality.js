@@ -0,0 +1,44 @@
+import React from 'react';
+import { AlertTriangle, XCircle, Camera } from 'lucide-react';
+import './PhotoQuality.css';
+
+// Problems the photo quality check found (see utils/imageQuality.js), each with
+// how to fix it on a retake. A blocked photo isn't analyzed; onAnalyzeAnyway,
+// when given, lets the user go ahead regardless.
+const PhotoQuality = ({ quality, onRetake, onAnalyzeAnyway }) => {
+  if (!quality || quality.issues.length === 0) return null;
+
+  const blocked = !quality.passed;
+
+  return (
+    <div className={blocked ? 'photo-quality blocked' : 'photo-quality'}>
+      <h5>
+        {blocked ? <XCircle size={18} /> : <AlertTriangle size={18} />}
+        {blocked ? 'This photo is not good enough to analyze' : 'Photo quality could be better'}
+      </h5>
+      <ul>
+        {quality.issues.map(issue => (
+          <li key={issue.id} className={`photo-quality-issue ${issue.severity}`}>
+            <strong>{issue.message}</strong>
+            <span>{issue.guidance}</span>
+          </li>
+        ))}
+      </ul>
+      {!blocked && (
+        <p className="photo-quality-note">The results below may be less reliable. Retake the photo if you can.</p>
+      )}
+      {blocked && onAnalyzeAnyway && (
+        <div className="photo-quality-actions">
+          <button className="photo-quality-anyway" onClick={onAnalyzeAnyway}>
+            Analyze anyway
+          </button>
+          <button className="photo-quality-retake" onClick={onRetake}>
+            <Camera size={16} /> Retake photo
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhotoQuality;
@@ -2,17 +2,21 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { motion } from 'framer-motion';
-import { ArrowLeft, User, Calendar, Sun, Heart, Pill, Shield, CalendarCheck, Clock, MapPin, Phone } from 'lucide-react';
+import { ArrowLeft, User, Calendar, Sun, Heart, Pill, Shield, CalendarCheck, Clock, MapPin, Phone, Download } from 'lucide-react';
 import api from '../utils/api';
+import ConnectedAccounts from './ConnectedAccounts';
+import DeleteAccount from './DeleteAccount';
 import './Profile.css';
 
-const Profile = ({ user }) => {
+const Profile = ({ user, hasGoogleOAuth = false }) => {
   const [userProfile, setUserProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [appointmentDate, setAppointmentDate] = useState('');
   const [appointmentTime, setAppointmentTime] = useState('');
   const [appointmentNotes, setAppointmentNotes] = useState('');
   const [appointmentSubmitted, setAppointmentSubmitted] = useState(false);
+  const [verificationMessage, setVerificationMessage] = useState('');
+  const [exporting, setExporting] = useState(false);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -45,6 +49,36 @@ const Profile = ({ user }) => {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.resendVerificationEmail();
+      setVerificationMessage(response.message || 'Verification email sent.');
+    } catch (error) {
+      console.error('❌ Error resending verification email:', error);
+      setVerificationMessage(error.message || 'Could not send verification email.');
+    }
+  };
+
+  const handleExportData = async () => {
+    setExporting(true);
+    try {
+      const zipBlob = await api.exportMyData();
+      const url = window.URL.createObjectURL(zipBlob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `SkinGuard-Data-${new Date().toISOString().split('T')[0]}.zip`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error exporting data:', error);
+      alert('Failed to export your data. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const getPersonalizedRecommendations = () => {
     const displayUser = userProfile || user;
     if (!displayUser || !displayUser.quizAnswers) return [];
@@ -238,9 +272,48 @@ const Profile = ({ user }) => {
             <label>Member Since</label>
             <p>{displayUser.createdAt ? new Date(displayUser.createdAt).toLocaleDateString() : 'Recently'}</p>
           </div>
+          <div className="info-item">
+            <label>Email Status</label>
+            {displayUser.emailVerified ? (
+              <p>Verified</p>
+            ) : (
+              <p>
+                Not verified{' '}
+                <button onClick={handleResendVerification} className="inline-link-button">
+                  Resend verification email
+                </button>
+              </p>
+            )}
+            {verificationMessage && <p className="info-note">{verificationMessage}</p>}
+          </div>
         </div>
       </div>
 
+      <ConnectedAccounts hasGoogleOAuth={hasGoogleOAuth} />
+
+      <div className="profile-section">
+        <h2>Your Data</h2>
+        <p className="section-description">
+          Download everything SkinGuard stores about you: profile, quiz answers, every scan with its
+          analysis, medications, chat history and progress, bundled as a zip.
+        </p>
+        <motion.button
+          onClick={handleExportData}
+          disabled={exporting}
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          className="data-action-button"
+        >
+          <Download size={20} />
+          {exporting ? 'Preparing download...' : 'Download My Data'}
+        </motion.button>
+      </div>
+
+      <DeleteAccount
+        deletionScheduledAt={displayUser.deletionScheduledAt}
+        onChange={(deletionScheduledAt) => setUserProfile({ ...displayUser, deletionScheduledAt })}
+      />
+
       {/* Dermatologist Appointment Section */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -8,9 +8,6 @@ import GoogleLoginButton from './GoogleLoginButton';
 import api from '../utils/api';
 import './Register.css';
 
-// Get API base URL for direct axios calls
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-
 const Register = ({ onLogin, hasGoogleOAuth = false }) => {
   const [formData, setFormData] = useState({
     name: '',
@@ -28,17 +25,31 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
   });
   const [step, setStep] = useState(1);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
   const handleInputChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    clearFieldError(e.target.name);
   };
 
   const handleQuizChange = (e) => {
     setQuizAnswers({ ...quizAnswers, [e.target.name]: e.target.value });
+    clearFieldError(`quizAnswers.${e.target.name}`);
   };
 
+  const clearFieldError = (field) => {
+    if (fieldErrors[field]) {
+      const { [field]: removed, ...rest } = fieldErrors;
+      setFieldErrors(rest);
+    }
+  };
+
+  const renderFieldError = (field) => (
+    fieldErrors[field] ? <span className="field-error">{fieldErrors[field][0]}</span> : null
+  );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -53,6 +64,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
     }
 
     if (step === 2) {
+      setFieldErrors({});
       setLoading(true);
       try {
         const response = await api.register({
@@ -68,6 +80,17 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
         }
       } catch (err) {
         console.error('Registration error:', err);
+
+        // Validation errors are shown next to their inputs
+        if (err.fieldErrors) {
+          setFieldErrors(err.fieldErrors);
+          if (['name', 'email', 'password'].some(field => err.fieldErrors[field])) {
+            setStep(1);
+          }
+          setError('Please correct the highlighted fields.');
+          return;
+        }
+
         // Show more helpful error messages
         let errorMessage = err.message || 'Registration failed. Please try again.';
         
@@ -89,12 +112,10 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
         headers: { Authorization: `Bearer ${tokenResponse.access_token}` }
       });
       
-      const response = await axios.post(`${API_BASE_URL}/api/auth/google`, {
-        token: tokenResponse.access_token
-      });
+      const response = await api.loginWithGoogle(tokenResponse.access_token);
 
-      if (response.data.success) {
-        onLogin(response.data.user);
+      if (response.success) {
+        onLogin(response.user);
         navigate('/dashboard');
       }
     } catch (err) {
@@ -110,7 +131,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
   const handleFacebookLogin = async (response) => {
     try {
       if (response.accessToken) {
-        const authResponse = await axios.post(`${API_BASE_URL}/api/auth/facebook`, {
+        const authResponse = await api.loginWithFacebook({
           accessToken: response.accessToken,
           userID: response.userID,
           name: response.name,
@@ -118,14 +139,14 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
           picture: response.picture
         });
 
-        if (authResponse.data.success) {
-          onLogin(authResponse.data.user);
+        if (authResponse.success) {
+          onLogin(authResponse.user);
           navigate('/dashboard');
         }
       }
     } catch (err) {
       console.error('Facebook login error:', err);
-      setError('Facebook login failed. Please try again.');
+      setError(err.status === 409 ? err.message : 'Facebook login failed. Please try again.');
     }
   };
 
@@ -166,6 +187,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   required
                   placeholder="Enter your full name"
                 />
+                {renderFieldError('name')}
               </div>
 
               <div className="input-group">
@@ -178,6 +200,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   required
                   placeholder="Enter your email"
                 />
+                {renderFieldError('email')}
               </div>
 
               <div className="input-group">
@@ -188,9 +211,10 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   value={formData.password}
                   onChange={handleInputChange}
                   required
-                  placeholder="Create a password"
-                  minLength="6"
+                  placeholder="Create a password (at least 8 characters)"
+                  minLength={8}
                 />
+                {renderFieldError('password')}
               </div>
 
               <div className="input-group">
@@ -234,6 +258,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   <option value="46-60">46-60</option>
                   <option value="60+">60+</option>
                 </select>
+                {renderFieldError('quizAnswers.age')}
               </div>
 
               <div className="input-group">
@@ -245,6 +270,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   <option value="olive">Olive</option>
                   <option value="dark">Dark</option>
                 </select>
+                {renderFieldError('quizAnswers.skinType')}
               </div>
 
               <div className="input-group">
@@ -255,6 +281,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   <option value="moderate">Moderate</option>
                   <option value="high">High (outdoor work/activities)</option>
                 </select>
+                {renderFieldError('quizAnswers.sunExposure')}
               </div>
 
               <div className="input-group">
@@ -265,6 +292,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   <option value="no">No</option>
                   <option value="unsure">Unsure</option>
                 </select>
+                {renderFieldError('quizAnswers.familyHistory')}
               </div>
 
               <div className="input-group">
@@ -276,6 +304,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   <option value="rashes">Rashes</option>
                   <option value="other">Other</option>
                 </select>
+                {renderFieldError('quizAnswers.previousSkinIssues')}
               </div>
 
               <div className="input-group">
@@ -287,6 +316,7 @@ const Register = ({ onLogin, hasGoogleOAuth = false }) => {
                   onChange={handleQuizChange}
                   placeholder="List any medications (optional)"
                 />
+                {renderFieldError('quizAnswers.medications')}
               </div>
 
               <div className="button-group">
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { KeyRound, Shield } from 'lucide-react';
+import api from '../utils/api';
+import './Login.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await api.resetPassword(token, password);
+      setMessage(response.message || 'Your password has been reset.');
+      setTimeout(() => navigate('/login'), 2000);
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err.message || 'Could not reset password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="login-card"
+      >
+        <div className="login-header">
+          <Shield className="logo-icon" />
+          <h1>Choose a New Password</h1>
+        </div>
+
+        {!token ? (
+          <div className="error-message">
+            This reset link is incomplete. Please request a new one.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            {error && <div className="error-message">{error}</div>}
+            {message && <div className="success-message">{message}</div>}
+
+            <div className="input-group">
+              <label>New Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                minLength={8}
+                required
+                placeholder="At least 8 characters"
+              />
+            </div>
+
+            <div className="input-group">
+              <label>Confirm Password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                minLength={8}
+                required
+                placeholder="Repeat the new password"
+              />
+            </div>
+
+            <motion.button
+              type="submit"
+              disabled={loading || Boolean(message)}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              className="login-button"
+            >
+              {loading ? 'Saving...' : (
+                <>
+                  <KeyRound size={20} />
+                  Reset Password
+                </>
+              )}
+            </motion.button>
+          </form>
+        )}
+
+        <p className="register-link">
+          <Link to="/forgot-password">Request a new link</Link> · <Link to="/login">Back to login</Link>
+        </p>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Check, X } from 'lucide-react';
+import api from '../utils/api';
+import { bodyLocationLabel } from '../data/bodyLocations';
+import './ScanEditForm.css';
+
+// YYYY-MM-DD in local time, as used by <input type="date">
+const toDateInput = (value) => {
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const ScanEditForm = ({ image, lesions = [], onSaved, onCancel }) => {
+  const [notes, setNotes] = useState(image.notes || '');
+  const [lesionId, setLesionId] = useState(image.lesionId || '');
+  const [date, setDate] = useState(toDateInput(image.uploadedAt));
+  const [saving, setSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState('');
+
+  const save = async (e) => {
+    e.preventDefault();
+    const changes = {};
+    if (notes !== (image.notes || '')) {
+      changes.notes = notes;
+    }
+    if (date !== toDateInput(image.uploadedAt)) {
+      if (!date) {
+        setFieldErrors({ uploadedAt: ['Enter a valid date'] });
+        return;
+      }
+      // Keep the original time of day, only the date moves
+      const uploadedAt = new Date(image.uploadedAt);
+      const [year, month, day] = date.split('-').map(Number);
+      uploadedAt.setFullYear(year, month - 1, day);
+      changes.uploadedAt = uploadedAt.toISOString();
+    }
+    if (lesionId !== (image.lesionId || '')) {
+      changes.lesionId = lesionId || null;
+    }
+    if (Object.keys(changes).length === 0) {
+      onCancel();
+      return;
+    }
+
+    setSaving(true);
+    setFieldErrors({});
+    setFormError('');
+    try {
+      const response = await api.updateImage(image.id, changes);
+      onSaved(response.image);
+    } catch (error) {
+      console.error('Error updating scan:', error);
+      if (error.fieldErrors) {
+        setFieldErrors(error.fieldErrors);
+        setFormError((error.fieldErrors._ && error.fieldErrors._[0]) || 'Please correct the highlighted fields.');
+      } else {
+        setFormError(error.message || 'Failed to save changes. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderFieldError = (field) => (
+    fieldErrors[field] ? <span className="field-error">{fieldErrors[field][0]}</span> : null
+  );
+
+  return (
+    <form className="scan-edit-form" onSubmit={save}>
+      {formError && <div className="form-error">{formError}</div>}
+
+      <label className="form-field">
+        <span>Scan date</span>
+        <input
+          type="date"
+          value={date}
+          max={toDateInput(new Date())}
+          onChange={(e) => setDate(e.target.value)}
+        />
+        {renderFieldError('uploadedAt')}
+      </label>
+
+      {lesions.length > 0 && (
+        <label className="form-field">
+          <span>Spot</span>
+          <select value={lesionId} onChange={(e) => setLesionId(e.target.value)}>
+            <option value="">Not a tracked spot</option>
+            {lesions.map(lesion => (
+              <option key={lesion.id} value={lesion.id}>
+                {lesion.name} ({bodyLocationLabel(lesion.bodyLocation)})
+              </option>
+            ))}
+          </select>
+          {renderFieldError('lesionId')}
+        </label>
+      )}
+
+      <label className="form-field">
+        <span>Notes</span>
+        <textarea
+          value={notes}
+          rows={4}
+          maxLength={2000}
+          placeholder="Where is it, has it changed, anything worth remembering..."
+          onChange={(e) => setNotes(e.target.value)}
+        />
+        {renderFieldError('notes')}
+      </label>
+
+      <div className="scan-edit-actions">
+        <button type="button" className="scan-edit-cancel" onClick={onCancel} disabled={saving}>
+          <X size={16} />
+          Cancel
+        </button>
+        <button type="submit" className="scan-edit-save" disabled={saving}>
+          <Check size={16} />
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ScanEditForm;
@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import './ScanImage.css';
+
+// Scan images are only served to their owner, so they are fetched with the
+// session token and shown from an object URL rather than linked directly.
+// `size` picks the server-made variant: 'thumb', 'medium' or 'full'.
+const ScanImage = ({ image, size = 'full', alt, className = '', fallbackSrc }) => {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    setSrc(null);
+    setFailed(false);
+    api.getImageFile(image.fileUrl, size)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Image load error:', image.fileUrl, error);
+        setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [image.fileUrl, size]);
+
+  if (failed) {
+    return <img src={fallbackSrc} alt={alt} className={className} />;
+  }
+  if (!src) {
+    return <div className={`scan-image-loading ${className}`} aria-label={alt} />;
+  }
+  return <img src={src} alt={alt} className={className} onError={() => setFailed(true)} />;
+};
+
+export default ScanImage;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Trash2, Undo2 } from 'lucide-react';
+import api from '../utils/api';
+import ScanImage from './ScanImage';
+import './ScanTrash.css';
+
+// Scans deleted from the timeline, restorable until they are purged
+const ScanTrash = ({ userId, onRestored, fallbackSrc }) => {
+  const [images, setImages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.getTrash(userId)
+      .then((response) => {
+        if (!cancelled) setImages(response.images || []);
+      })
+      .catch((err) => {
+        console.error('Error loading trash:', err);
+        if (!cancelled) setError('Could not load deleted scans.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const restore = async (image) => {
+    setRestoringId(image.id);
+    setError('');
+    try {
+      const response = await api.restoreImage(image.id);
+      setImages(images.filter(img => img.id !== image.id));
+      onRestored(response.image);
+    } catch (err) {
+      console.error('Error restoring scan:', err);
+      setError(err.message || 'Failed to restore scan. Please try again.');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading-state">Loading deleted scans...</div>;
+  }
+
+  return (
+    <div className="scan-trash">
+      {error && <div className="scan-trash-error">{error}</div>}
+      {images.length === 0 ? (
+        <div className="empty-state">
+          <Trash2 size={64} color="#9ca3af" />
+          <h3>Trash is empty</h3>
+          <p>Deleted scans stay here for 30 days before they are removed for good</p>
+        </div>
+      ) : (
+        <div className="timeline-grid">
+          {images.map((image, index) => (
+            <div key={image.id} className="timeline-card scan-trash-card">
+              <div className="card-image">
+                <ScanImage
+                  image={image}
+                  size="thumb"
+                  alt={`Deleted scan ${index + 1}`}
+                  fallbackSrc={fallbackSrc}
+                />
+              </div>
+              <div className="card-content">
+                <div className="card-date">
+                  Taken {new Date(image.uploadedAt).toLocaleDateString()}
+                </div>
+                <p className="scan-trash-purge">
+                  Deleted for good on {new Date(image.purgeAt).toLocaleDateString()}
+                </p>
+                <button
+                  className="scan-trash-restore"
+                  onClick={() => restore(image)}
+                  disabled={restoringId === image.id}
+                >
+                  <Undo2 size={16} />
+                  {restoringId === image.id ? 'Restoring...' : 'Restore'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScanTrash;
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { QRCodeSVG } from 'qrcode.react';
 import { motion } from 'framer-motion';
 import { Share2, Copy, Check, Camera, Flame, Download } from 'lucide-react';
-import axios from 'axios';
+import api from '../utils/api';
 import './Share.css';
 
 const Share = ({ user }) => {
@@ -72,9 +72,8 @@ const Share = ({ user }) => {
 
   const fetchUserStats = async () => {
     try {
-      const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-      const response = await axios.get(`${API_BASE_URL}/api/images/${user.id}`);
-      const images = response.data.images || [];
+      const response = await api.getImages(user.id);
+      const images = response.images || [];
       setScanCount(images.length);
       
       // Calculate streak: consecutive days with at least one scan
@@ -1,8 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Calendar, TrendingUp, Image as ImageIcon, Upload, Sparkles } from 'lucide-react';
+import { ArrowLeft, Calendar, TrendingUp, Image as ImageIcon, Upload, Sparkles, Pencil, Trash2, MapPin } from 'lucide-react';
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -15,11 +14,18 @@ import {
   Legend
 } from 'chart.js';
 import api from '../utils/api';
+import { QUALITY_ISSUES } from '../utils/imageQuality';
 import Chatbot from './Chatbot';
 import MedicationRecommendations from './MedicationRecommendations';
+import ScanImage from './ScanImage';
+import ScanEditForm from './ScanEditForm';
+import ScanTrash from './ScanTrash';
+import { bodyLocationLabel } from '../data/bodyLocations';
 import './Timeline.css';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+// "Image Unavailable" placeholders for scans whose file can't be loaded
+const CARD_PLACEHOLDER = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgZmlsbD0iI2U1ZTdlYiIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTgiIGZpbGw9IiM5Y2EzYWYiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5JbWFnZSBVbmF2YWlsYWJsZTwvdGV4dD48L3N2Zz4=';
+const MODAL_PLACEHOLDER = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAwIiBoZWlnaHQ9IjYwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iODAwIiBoZWlnaHQ9IjYwMCIgZmlsbD0iI2U1ZTdlYiIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMjQiIGZpbGw9IiM5Y2EzYWYiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5JbWFnZSBVbmF2YWlsYWJsZTwvdGV4dD48L3N2Zz4=';
 
 ChartJS.register(
   CategoryScale,
@@ -31,12 +37,24 @@ ChartJS.register(
   Legend
 );
 
+const byNewest = (a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt);
+
+// Lesion filter values besides a lesion id
+const ALL_SCANS = 'all';
+const UNASSIGNED = 'unassigned';
+
 const Timeline = ({ user }) => {
   const [images, setImages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedImage, setSelectedImage] = useState(null);
   const [showChatbot, setShowChatbot] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [lesions, setLesions] = useState([]);
   const navigate = useNavigate();
+  const location = useLocation();
+  // The dashboard body map opens the timeline on one lesion
+  const [lesionFilter, setLesionFilter] = useState((location.state && location.state.lesionId) || ALL_SCANS);
 
   const fetchImages = useCallback(async () => {
     setLoading(true);
@@ -44,7 +62,7 @@ const Timeline = ({ user }) => {
       console.log('🔄 Fetching images for user:', user.id);
       const response = await api.getImages(user.id);
       if (response && response.images) {
-        const sortedImages = response.images.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+        const sortedImages = response.images.sort(byNewest);
         console.log(`✅ Loaded ${sortedImages.length} images`);
         setImages(sortedImages);
       } else {
@@ -67,6 +85,12 @@ const Timeline = ({ user }) => {
     fetchImages();
   }, [fetchImages]);
 
+  useEffect(() => {
+    api.getLesions(user.id)
+      .then(response => setLesions(response.lesions || []))
+      .catch(error => console.error('❌ Error fetching lesions:', error));
+  }, [user.id]);
+
   // Refresh images when component becomes visible (user navigates back)
   useEffect(() => {
     const handleFocus = () => {
@@ -85,15 +109,63 @@ const Timeline = ({ user }) => {
     };
   }, [fetchImages]);
 
+  const closeModal = () => {
+    setSelectedImage(null);
+    setShowChatbot(false);
+    setEditing(false);
+  };
+
+  const handleScanSaved = (updated) => {
+    setImages(images.map(img => (img.id === updated.id ? updated : img)).sort(byNewest));
+    setSelectedImage(updated);
+    setEditing(false);
+  };
+
+  const handleDeleteScan = async () => {
+    if (!window.confirm('Move this scan to the trash? You can restore it for 30 days.')) {
+      return;
+    }
+    try {
+      await api.deleteImage(selectedImage.id);
+      setImages(images.filter(img => img.id !== selectedImage.id));
+      closeModal();
+    } catch (error) {
+      console.error('Error deleting scan:', error);
+      alert('Failed to delete scan. Please try again.');
+    }
+  };
+
+  const handleScanRestored = (restored) => {
+    setImages([...images, restored].sort(byNewest));
+  };
+
+  const lesionById = (id) => lesions.find(l => l.id === id);
+  const selectedLesion = lesionById(lesionFilter);
+
+  // Scans in the current lesion filter, newest first; the charts read them oldest first
+  const visibleImages = images.filter(img => {
+    if (lesionFilter === ALL_SCANS) return true;
+    if (lesionFilter === UNASSIGNED) return !img.lesionId || !lesionById(img.lesionId);
+    return img.lesionId === lesionFilter;
+  });
+  const chronologicalImages = [...visibleImages].reverse();
+  const scanCountFor = (lesionId) => images.filter(img => img.lesionId === lesionId).length;
+  const unassignedCount = images.filter(img => !img.lesionId || !lesionById(img.lesionId)).length;
+
+  // A lesion's history: latest risk against its first analyzed scan
+  const analyzedHistory = chronologicalImages.filter(img => img.analysis && img.analysis.cancer);
+  const firstRisk = analyzedHistory.length > 0 ? analyzedHistory[0].analysis.cancer.cancerPercentage : null;
+  const latestRisk = analyzedHistory.length > 0 ? analyzedHistory[analyzedHistory.length - 1].analysis.cancer.cancerPercentage : null;
+
   // Cancer Risk Chart Data
   const cancerChartData = {
-    labels: images
+    labels: chronologicalImages
       .filter(img => img.analysis && img.analysis.cancer)
       .map(img => new Date(img.uploadedAt).toLocaleDateString()),
     datasets: [
       {
         label: 'Cancer Risk Percentage',
-        data: images
+        data: chronologicalImages
           .filter(img => img.analysis && img.analysis.cancer)
           .map(img => img.analysis.cancer.cancerPercentage || 0),
         borderColor: '#ef4444',
@@ -106,13 +178,13 @@ const Timeline = ({ user }) => {
 
   // Skin Conditions Chart Data
   const infectionChartData = {
-    labels: images
+    labels: chronologicalImages
       .filter(img => img.analysis && img.analysis.infection)
       .map(img => new Date(img.uploadedAt).toLocaleDateString()),
     datasets: [
       {
         label: 'Infection Risk Score',
-        data: images
+        data: chronologicalImages
           .filter(img => img.analysis && img.analysis.infection)
           .map(img => {
             const infection = img.analysis.infection;
@@ -140,7 +212,7 @@ const Timeline = ({ user }) => {
       },
       title: {
         display: true,
-        text: 'Cancer Risk Trend Over Time'
+        text: selectedLesion ? `${selectedLesion.name}: Cancer Risk Over Time` : 'Cancer Risk Trend Over Time'
       }
     },
     scales: {
@@ -162,7 +234,7 @@ const Timeline = ({ user }) => {
       ...chartOptions.plugins,
       title: {
         display: true,
-        text: 'Skin Condition Risk Over Time'
+        text: selectedLesion ? `${selectedLesion.name}: Skin Condition Risk Over Time` : 'Skin Condition Risk Over Time'
       }
     }
   };
@@ -184,37 +256,47 @@ const Timeline = ({ user }) => {
           <h1>Progress Timeline</h1>
           <p>Track your skin condition over time</p>
         </div>
-        {images.length > 0 && (
+        <div className="timeline-header-actions">
           <motion.button
-            onClick={async () => {
-              try {
-                const response = await axios.get(
-                  `${API_BASE_URL}/api/generate-pdf/${user.id}`,
-                  { responseType: 'blob' }
-                );
-                const url = window.URL.createObjectURL(new Blob([response.data]));
-                const link = document.createElement('a');
-                link.href = url;
-                link.setAttribute('download', `SkinGuard-Report-${user.name}-${Date.now()}.pdf`);
-                document.body.appendChild(link);
-                link.click();
-                link.remove();
-              } catch (error) {
-                console.error('PDF generation error:', error);
-                alert('Failed to generate PDF. Please try again.');
-              }
-            }}
+            onClick={() => setShowTrash(!showTrash)}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
-            className="pdf-generate-button"
+            className={`trash-toggle-button ${showTrash ? 'active' : ''}`}
           >
-            <Upload size={18} />
-            Generate PDF Report
+            <Trash2 size={18} />
+            {showTrash ? 'Back to Timeline' : 'Trash'}
           </motion.button>
-        )}
+          {images.length > 0 && !showTrash && (
+            <motion.button
+              onClick={async () => {
+                try {
+                  const pdfBlob = await api.downloadReport(user.id);
+                  const url = window.URL.createObjectURL(pdfBlob);
+                  const link = document.createElement('a');
+                  link.href = url;
+                  link.setAttribute('download', `SkinGuard-Report-${user.name}-${Date.now()}.pdf`);
+                  document.body.appendChild(link);
+                  link.click();
+                  link.remove();
+                } catch (error) {
+                  console.error('PDF generation error:', error);
+                  alert('Failed to generate PDF. Please try again.');
+                }
+              }}
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              className="pdf-generate-button"
+            >
+              <Upload size={18} />
+              Generate PDF Report
+            </motion.button>
+          )}
+        </div>
       </div>
 
-      {loading ? (
+      {showTrash ? (
+        <ScanTrash userId={user.id} onRestored={handleScanRestored} fallbackSrc={CARD_PLACEHOLDER} />
+      ) : loading ? (
         <div className="loading-state">Loading your timeline...</div>
       ) : images.length === 0 ? (
         <div className="empty-state">
@@ -232,7 +314,56 @@ const Timeline = ({ user }) => {
         </div>
       ) : (
         <>
-          {images.filter(img => img.analysis && img.analysis.cancer).length > 1 && (
+          {lesions.length > 0 && (
+            <div className="lesion-filter">
+              <button
+                className={`lesion-chip ${lesionFilter === ALL_SCANS ? 'active' : ''}`}
+                onClick={() => setLesionFilter(ALL_SCANS)}
+              >
+                All scans ({images.length})
+              </button>
+              {lesions.map(lesion => (
+                <button
+                  key={lesion.id}
+                  className={`lesion-chip ${lesionFilter === lesion.id ? 'active' : ''}`}
+                  onClick={() => setLesionFilter(lesion.id)}
+                >
+                  {lesion.name} ({scanCountFor(lesion.id)})
+                </button>
+              ))}
+              {unassignedCount > 0 && (
+                <button
+                  className={`lesion-chip ${lesionFilter === UNASSIGNED ? 'active' : ''}`}
+                  onClick={() => setLesionFilter(UNASSIGNED)}
+                >
+                  Unassigned ({unassignedCount})
+                </button>
+              )}
+            </div>
+          )}
+
+          {selectedLesion && (
+            <div className="lesion-summary">
+              <h3>{selectedLesion.name}</h3>
+              <div className="lesion-summary-stats">
+                <span><MapPin size={16} /> {bodyLocationLabel(selectedLesion.bodyLocation)}</span>
+                <span><Calendar size={16} /> First seen {new Date(`${selectedLesion.firstSeenAt}T00:00:00`).toLocaleDateString()}</span>
+                <span><ImageIcon size={16} /> {visibleImages.length} {visibleImages.length === 1 ? 'scan' : 'scans'}</span>
+                {latestRisk !== null && (
+                  <span>
+                    <TrendingUp size={16} /> Latest risk {latestRisk}%
+                    {analyzedHistory.length > 1 && ` (${latestRisk >= firstRisk ? '+' : ''}${(latestRisk - firstRisk).toFixed(1)} since first scan)`}
+                  </span>
+                )}
+              </div>
+            </div>
+          )}
+
+          {visibleImages.length === 0 && (
+            <div className="lesion-empty">No scans of this spot yet.</div>
+          )}
+
+          {visibleImages.filter(img => img.analysis && img.analysis.cancer).length > 1 && (
             <div className="chart-section">
               <div className="chart-card">
                 <h3>Cancer Risk Trend</h3>
@@ -243,7 +374,7 @@ const Timeline = ({ user }) => {
             </div>
           )}
 
-          {images.filter(img => img.analysis && img.analysis.infection).length > 1 && (
+          {visibleImages.filter(img => img.analysis && img.analysis.infection).length > 1 && (
             <div className="chart-section">
               <div className="chart-card">
                 <h3>Skin Condition Risk Trend</h3>
@@ -255,7 +386,7 @@ const Timeline = ({ user }) => {
           )}
 
           <div className="timeline-grid">
-            {images.map((image, index) => (
+            {visibleImages.map((image, index) => (
               <motion.div
                 key={image.id}
                 initial={{ opacity: 0, y: 20 }}
@@ -265,16 +396,11 @@ const Timeline = ({ user }) => {
                 className="timeline-card"
               >
                 <div className="card-image">
-                  <img
-                    src={image.cloudinaryUrl || `${API_BASE_URL}/${image.path}`}
+                  <ScanImage
+                    image={image}
+                    size="thumb"
                     alt={`Scan ${index + 1}`}
-                    onError={(e) => {
-                      console.error('Image load error:', image.cloudinaryUrl || `${API_BASE_URL}/${image.path}`);
-                      // Use a placeholder image
-                      e.target.onerror = null; // Prevent infinite loop
-                      e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgZmlsbD0iI2U1ZTdlYiIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMTgiIGZpbGw9IiM5Y2EzYWYiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5JbWFnZSBVbmF2YWlsYWJsZTwvdGV4dD48L3N2Zz4=';
-                    }}
-                    loading="lazy"
+                    fallbackSrc={CARD_PLACEHOLDER}
                   />
                 </div>
                 <div className="card-content">
@@ -282,6 +408,12 @@ const Timeline = ({ user }) => {
                     <Calendar size={16} />
                     {new Date(image.uploadedAt).toLocaleDateString()}
                   </div>
+                  {lesionFilter === ALL_SCANS && lesionById(image.lesionId) && (
+                    <div className="card-lesion">
+                      <MapPin size={14} />
+                      {lesionById(image.lesionId).name}
+                    </div>
+                  )}
                   {image.analysis && image.analysis.cancer ? (
                     <div className="card-analysis">
                       <div className="risk-badge" style={{
@@ -321,7 +453,7 @@ const Timeline = ({ user }) => {
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
           className="modal-overlay"
-          onClick={() => setSelectedImage(null)}
+          onClick={closeModal}
         >
           <motion.div
             initial={{ scale: 0.9 }}
@@ -332,6 +464,20 @@ const Timeline = ({ user }) => {
             <div className="modal-header">
               <h2>Image Review</h2>
               <div className="modal-actions">
+                <button
+                  className="scan-action-button"
+                  onClick={() => setEditing(!editing)}
+                  title="Edit date, notes and spot"
+                >
+                  <Pencil size={18} />
+                </button>
+                <button
+                  className="scan-action-button danger"
+                  onClick={handleDeleteScan}
+                  title="Move to trash"
+                >
+                  <Trash2 size={18} />
+                </button>
                 <motion.button
                   onClick={() => setShowChatbot(!showChatbot)}
                   whileHover={{ scale: 1.05 }}
@@ -340,23 +486,26 @@ const Timeline = ({ user }) => {
                   <Sparkles size={18} />
                   {showChatbot ? 'Hide' : 'Ask'} AI Assistant
                 </motion.button>
-                <button className="close-modal" onClick={() => {
-                  setSelectedImage(null);
-                  setShowChatbot(false);
-                }}>×</button>
+                <button className="close-modal" onClick={closeModal}>×</button>
               </div>
             </div>
             
-            <img
-              src={selectedImage.cloudinaryUrl || `${API_BASE_URL}/${selectedImage.path}`}
+            <ScanImage
+              image={selectedImage}
+              size="full"
               alt="Full size"
               className="modal-image"
-              onError={(e) => {
-                console.error('Modal image load error:', selectedImage.cloudinaryUrl || `${API_BASE_URL}/${selectedImage.path}`);
-                e.target.onerror = null;
-                e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAwIiBoZWlnaHQ9IjYwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iODAwIiBoZWlnaHQ9IjYwMCIgZmlsbD0iI2U1ZTdlYiIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMjQiIGZpbGw9IiM5Y2EzYWYiIHRleHQtYW5jaG9yPSJtaWRkbGUiIGR5PSIuM2VtIj5JbWFnZSBVbmF2YWlsYWJsZTwvdGV4dD48L3N2Zz4=';
-              }}
+              fallbackSrc={MODAL_PLACEHOLDER}
             />
+
+            {editing && (
+              <ScanEditForm
+                image={selectedImage}
+                lesions={lesions}
+                onSaved={handleScanSaved}
+                onCancel={() => setEditing(false)}
+              />
+            )}
             
             {selectedImage.analysis && (
               <div className="modal-analysis">
@@ -373,6 +522,7 @@ const Timeline = ({ user }) => {
                           <span className="stat-label">Size:</span>
                           <span className="stat-value">
                             {selectedImage.analysis.cancer.sizes.width} × {selectedImage.analysis.cancer.sizes.height}
+                            {!selectedImage.analysis.cancer.lesionDetails?.calibrated && ' (uncalibrated)'}
                           </span>
                         </div>
                       )}
@@ -382,6 +532,16 @@ const Timeline = ({ user }) => {
                           <span className="stat-value">{Math.round(selectedImage.analysis.cancer.confidence * 100)}%</span>
                         </div>
                       )}
+                      {selectedImage.analysis.quality && (
+                        <div className="stat-item">
+                          <span className="stat-label">Photo quality:</span>
+                          <span className="stat-value">
+                            {selectedImage.analysis.quality.issues && selectedImage.analysis.quality.issues.length > 0
+                              ? selectedImage.analysis.quality.issues.map(issue => QUALITY_ISSUES[issue.id].message).join('; ')
+                              : 'Good'}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 )}
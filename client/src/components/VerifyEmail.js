@@ -0,0 +1,62 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import api from '../utils/api';
+import './Login.css';
+
+const VerifyEmail = ({ user }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so never submit twice (e.g. StrictMode double effects)
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    api.verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message || 'Your email address is verified.');
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'This verification link is invalid or has expired.');
+      });
+  }, [token]);
+
+  return (
+    <div className="login-container">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="login-card"
+      >
+        <div className="login-header">
+          {status === 'verifying' && <Loader className="logo-icon spinning" />}
+          {status === 'success' && <CheckCircle className="logo-icon" />}
+          {status === 'error' && <AlertCircle className="logo-icon" />}
+          <h1>Email Verification</h1>
+        </div>
+
+        {status === 'verifying' && <p className="tagline">Verifying your email...</p>}
+        {status === 'success' && <div className="success-message">{message}</div>}
+        {status === 'error' && (
+          <div className="error-message">
+            {message} {user ? 'You can send a new link from your profile.' : 'Log in to send a new link.'}
+          </div>
+        )}
+
+        <p className="register-link">
+          <Link to={user ? '/dashboard' : '/login'}>{user ? 'Go to dashboard' : 'Go to login'}</Link>
+        </p>
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,35 @@
+/**
+ * Body locations a tracked lesion can be placed on.
+ * Ids mirror BODY_LOCATIONS in server/validation/schemas.js.
+ */
+
+export const BODY_LOCATIONS = [
+  { id: 'scalp', label: 'Scalp' },
+  { id: 'face', label: 'Face' },
+  { id: 'neck', label: 'Neck' },
+  { id: 'chest', label: 'Chest' },
+  { id: 'abdomen', label: 'Abdomen' },
+  { id: 'upper-back', label: 'Upper back' },
+  { id: 'lower-back', label: 'Lower back' },
+  { id: 'buttocks', label: 'Buttocks' },
+  { id: 'left-shoulder', label: 'Left shoulder' },
+  { id: 'right-shoulder', label: 'Right shoulder' },
+  { id: 'left-upper-arm', label: 'Left upper arm' },
+  { id: 'right-upper-arm', label: 'Right upper arm' },
+  { id: 'left-forearm', label: 'Left forearm' },
+  { id: 'right-forearm', label: 'Right forearm' },
+  { id: 'left-hand', label: 'Left hand' },
+  { id: 'right-hand', label: 'Right hand' },
+  { id: 'left-thigh', label: 'Left thigh' },
+  { id: 'right-thigh', label: 'Right thigh' },
+  { id: 'left-lower-leg', label: 'Left lower leg' },
+  { id: 'right-lower-leg', label: 'Right lower leg' },
+  { id: 'left-foot', label: 'Left foot' },
+  { id: 'right-foot', label: 'Right foot' },
+  { id: 'other', label: 'Other' }
+];
+
+export const bodyLocationLabel = (id) => {
+  const location = BODY_LOCATIONS.find(l => l.id === id);
+  return location ? location.label : id;
+};
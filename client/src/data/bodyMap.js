@@ -0,0 +1,78 @@
+/**
+ * Front/back body diagram used by BodyMap.js.
+ * Each shape is one region from bodyLocations.js, in a 200 x 440 viewBox.
+ * Both views are drawn as seen by the viewer, so on the front view the
+ * person's left side is on the right.
+ */
+
+export const BODY_MAP_WIDTH = 200;
+export const BODY_MAP_HEIGHT = 440;
+export const BODY_MAP_VIEWS = ['front', 'back'];
+
+// Limb shapes for the viewer's left side; the right side is mirrored
+const LIMBS = [
+  { part: 'shoulder', kind: 'rect', x: 46, y: 74, width: 24, height: 26, radius: 10 },
+  { part: 'upper-arm', kind: 'rect', x: 44, y: 100, width: 20, height: 70, radius: 8 },
+  { part: 'forearm', kind: 'rect', x: 40, y: 170, width: 19, height: 65, radius: 8 },
+  { part: 'hand', kind: 'ellipse', cx: 49, cy: 250, rx: 10, ry: 15 },
+  { part: 'thigh', kind: 'rect', x: 70, y: 215, width: 28, height: 95, radius: 10 },
+  { part: 'lower-leg', kind: 'rect', x: 72, y: 310, width: 24, height: 90, radius: 9 },
+  { part: 'foot', kind: 'ellipse', cx: 84, cy: 414, rx: 14, ry: 9 }
+];
+
+const mirror = (shape) => (shape.kind === 'rect'
+  ? { ...shape, x: BODY_MAP_WIDTH - shape.x - shape.width }
+  : { ...shape, cx: BODY_MAP_WIDTH - shape.cx });
+
+const CENTRAL = {
+  front: [
+    { region: 'face', kind: 'ellipse', cx: 100, cy: 35, rx: 22, ry: 27 },
+    { region: 'neck', kind: 'rect', x: 90, y: 60, width: 20, height: 16, radius: 4 },
+    { region: 'chest', kind: 'rect', x: 68, y: 74, width: 64, height: 56, radius: 8 },
+    { region: 'abdomen', kind: 'rect', x: 68, y: 130, width: 64, height: 85, radius: 8 }
+  ],
+  back: [
+    { region: 'scalp', kind: 'ellipse', cx: 100, cy: 35, rx: 22, ry: 27 },
+    { region: 'neck', kind: 'rect', x: 90, y: 60, width: 20, height: 16, radius: 4 },
+    { region: 'upper-back', kind: 'rect', x: 68, y: 74, width: 64, height: 56, radius: 8 },
+    { region: 'lower-back', kind: 'rect', x: 68, y: 130, width: 64, height: 55, radius: 8 },
+    { region: 'buttocks', kind: 'rect', x: 68, y: 185, width: 64, height: 30, radius: 8 }
+  ]
+};
+
+/**
+ * Shapes for one view, each tagged with its region id
+ * @param {'front'|'back'} view
+ */
+export const bodyMapShapes = (view) => {
+  // Which of the person's sides is on the viewer's left
+  const [viewerLeft, viewerRight] = view === 'front' ? ['right', 'left'] : ['left', 'right'];
+  const limbs = LIMBS.flatMap(({ part, ...shape }) => [
+    { region: `${viewerLeft}-${part}`, ...shape },
+    { region: `${viewerRight}-${part}`, ...mirror(shape) }
+  ]);
+  return [...CENTRAL[view], ...limbs];
+};
+
+const centerOf = (shape) => (shape.kind === 'rect'
+  ? { x: shape.x + shape.width / 2, y: shape.y + shape.height / 2 }
+  : { x: shape.cx, y: shape.cy });
+
+/**
+ * Where to place a lesion that has a region but no tapped position.
+ * Regions on both views use the front one.
+ * @returns {{view: string, x: number, y: number}|null} Position as 0-1 fractions, or null for 'other'
+ */
+export const regionCenter = (region) => {
+  for (const view of BODY_MAP_VIEWS) {
+    const shape = bodyMapShapes(view).find(s => s.region === region);
+    if (shape) {
+      const { x, y } = centerOf(shape);
+      return { view, x: x / BODY_MAP_WIDTH, y: y / BODY_MAP_HEIGHT };
+    }
+  }
+  return null;
+};
+
+// A lesion's spot on the map: its tapped position, else the middle of its region
+export const lesionPosition = (lesion) => lesion.bodyPosition || regionCenter(lesion.bodyLocation);
@@ -19,10 +19,12 @@ const handleResponse = async (response) => {
         message: `HTTP error! status: ${response.status} - ${response.statusText}` 
       };
     }
-    const error = new Error(errorData.message || `Request failed with status ${response.status}`);
+    const error = new Error(errorData.message || errorData.error || `Request failed with status ${response.status}`);
     error.status = response.status;
     error.url = response.url;
     error.statusText = response.statusText;
+    // Validation failures list messages per field, e.g. { email: ['Enter a valid email address'] }
+    error.fieldErrors = errorData.fieldErrors || null;
     throw error;
   }
   
@@ -35,6 +37,95 @@ const handleResponse = async (response) => {
   }
 };
 
+// Session token storage
+// Access + refresh tokens live in localStorage; the user object is never
+// trusted on its own and is always re-fetched from /api/auth/me on load.
+const TOKEN_STORAGE_KEY = 'authTokens';
+
+export const tokenStore = {
+  get: () => {
+    try {
+      return JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY)) || null;
+    } catch (e) {
+      return null;
+    }
+  },
+  set: ({ accessToken, refreshToken }) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({ accessToken, refreshToken }));
+  },
+  clear: () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+// Fired when the session can no longer be refreshed so App can log out
+export const AUTH_LOGOUT_EVENT = 'auth:logout';
+
+// Store tokens from any auth response (login, register, OAuth, refresh)
+const storeSession = (result) => {
+  if (result && result.accessToken && result.refreshToken) {
+    tokenStore.set(result);
+  }
+  return result;
+};
+
+// Concurrent 401s share a single refresh request
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const tokens = tokenStore.get();
+    refreshPromise = (async () => {
+      if (!tokens || !tokens.refreshToken) return false;
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: tokens.refreshToken })
+        });
+        if (!response.ok) return false;
+        storeSession(await response.json());
+        return true;
+      } catch (e) {
+        console.error('Token refresh error:', e);
+        return false;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// fetch() wrapper that attaches the access token and transparently refreshes
+// it once when the server answers 401
+const authFetch = async (url, options = {}) => {
+  const withToken = () => {
+    const tokens = tokenStore.get();
+    const headers = { ...(options.headers || {}) };
+    if (tokens && tokens.accessToken) {
+      headers.Authorization = `Bearer ${tokens.accessToken}`;
+    }
+    return fetch(url, { ...options, headers });
+  };
+
+  const response = await withToken();
+  if (response.status !== 401 || !tokenStore.get()) {
+    return response;
+  }
+
+  const refreshed = await refreshSession();
+  if (!refreshed) {
+    tokenStore.clear();
+    window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT));
+    return response;
+  }
+  return withToken();
+};
+
+// Calls that create a session (register, login, OAuth) use plain fetch: a 401
+// there means wrong credentials, not an expired session to refresh, and any
+// stale tokens still stored have nothing to do with the new sign-in
 export const api = {
   // User endpoints
   register: async (userData) => {
@@ -56,7 +147,7 @@ export const api = {
       
       clearTimeout(timeoutId);
       console.log('📥 Register response status:', response.status);
-      return await handleResponse(response);
+      return storeSession(await handleResponse(response));
     } catch (error) {
       clearTimeout(timeoutId);
       console.error('❌ Registration API error:', error);
@@ -77,6 +168,7 @@ export const api = {
       const enhancedError = new Error(errorMessage);
       enhancedError.originalError = error;
       enhancedError.status = error.status;
+      enhancedError.fieldErrors = error.fieldErrors || null;
       enhancedError.url = error.url || `${API_BASE_URL}/api/register`;
       throw enhancedError;
     }
@@ -89,16 +181,162 @@ export const api = {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(credentials)
       });
-      return await handleResponse(response);
+      return storeSession(await handleResponse(response));
     } catch (error) {
       console.error('Login API error:', error);
       throw error;
     }
   },
 
+  loginWithGoogle: async (token) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/google`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      return storeSession(await handleResponse(response));
+    } catch (error) {
+      console.error('Google login API error:', error);
+      throw error;
+    }
+  },
+
+  loginWithFacebook: async (facebookResponse) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/facebook`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(facebookResponse)
+      });
+      return storeSession(await handleResponse(response));
+    } catch (error) {
+      console.error('Facebook login API error:', error);
+      throw error;
+    }
+  },
+
+  // Password reset and email verification
+  forgotPassword: async (email) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/auth/forgot-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Forgot password API error:', error);
+      throw error;
+    }
+  },
+
+  resetPassword: async (token, password) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password })
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Reset password API error:', error);
+      throw error;
+    }
+  },
+
+  verifyEmail: async (token) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/auth/verify-email`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Verify email API error:', error);
+      throw error;
+    }
+  },
+
+  resendVerificationEmail: async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/account/verify-email/resend`, {
+        method: 'POST'
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Resend verification API error:', error);
+      throw error;
+    }
+  },
+
+  // Resolve the signed-in user from the stored access token
+  getCurrentUser: async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/auth/me`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Get current user API error:', error);
+      throw error;
+    }
+  },
+
+  logout: async () => {
+    const tokens = tokenStore.get();
+    tokenStore.clear();
+    if (!tokens || !tokens.refreshToken) return;
+    try {
+      await fetch(`${API_BASE_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: tokens.refreshToken })
+      });
+    } catch (error) {
+      console.error('Logout API error:', error);
+    }
+  },
+
+  // Sign-in method linking
+  getAuthMethods: async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/account/auth-methods`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Get auth methods API error:', error);
+      throw error;
+    }
+  },
+
+  linkAuthMethod: async (provider, payload) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/account/link/${provider}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Link ${provider} API error:`, error);
+      throw error;
+    }
+  },
+
+  unlinkAuthMethod: async (provider) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/account/link/${provider}`, {
+        method: 'DELETE'
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error(`Unlink ${provider} API error:`, error);
+      throw error;
+    }
+  },
+
   getUser: async (userId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/user/${userId}`);
+      const response = await authFetch(`${API_BASE_URL}/api/user/${userId}`);
       return await handleResponse(response);
     } catch (error) {
       console.error('Get user API error:', error);
@@ -111,7 +349,7 @@ export const api = {
     try {
       const url = `${API_BASE_URL}/api/upload`;
       console.log('📤 Uploading image to:', url);
-      const response = await fetch(url, {
+      const response = await authFetch(url, {
         method: 'POST',
         body: formData
       });
@@ -129,7 +367,7 @@ export const api = {
     try {
       const url = `${API_BASE_URL}/api/images/${userId}`;
       console.log('📤 Fetching images from:', url);
-      const response = await fetch(url);
+      const response = await authFetch(url);
       console.log('📥 Get images response status:', response.status);
       const result = await handleResponse(response);
       console.log(`✅ Retrieved ${result.images?.length || 0} images`);
@@ -140,12 +378,78 @@ export const api = {
     }
   },
 
+  // Returns a scan's image as a Blob. `fileUrl` comes from the image record;
+  // the route needs the session token, so it can't be used as an <img> src directly.
+  // `size` is 'thumb', 'medium' or 'full'.
+  getImageFile: async (fileUrl, size = 'full') => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}${fileUrl}?size=${size}`);
+      if (!response.ok) {
+        await handleResponse(response);
+      }
+      return await response.blob();
+    } catch (error) {
+      console.error('❌ Get image file API error:', error);
+      throw error;
+    }
+  },
+
+  // Fix a scan's notes and/or date: { notes, uploadedAt }
+  updateImage: async (imageId, changes) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/images/${imageId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('❌ Update image API error:', error);
+      throw error;
+    }
+  },
+
+  // Moves a scan to the trash (restorable until image.purgeAt)
+  deleteImage: async (imageId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/images/${imageId}`, {
+        method: 'DELETE'
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('❌ Delete image API error:', error);
+      throw error;
+    }
+  },
+
+  restoreImage: async (imageId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/images/${imageId}/restore`, {
+        method: 'POST'
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('❌ Restore image API error:', error);
+      throw error;
+    }
+  },
+
+  getTrash: async (userId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/images/${userId}/trash`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('❌ Get trash API error:', error);
+      throw error;
+    }
+  },
+
   analyzeImage: async (imageId, analysisData) => {
     try {
       const url = `${API_BASE_URL}/api/analyze/${imageId}`;
       console.log('📤 Saving analysis to:', url);
       console.log('Analysis data:', analysisData);
-      const response = await fetch(url, {
+      const response = await authFetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(analysisData)
@@ -165,7 +469,7 @@ export const api = {
     try {
       const url = `${API_BASE_URL}/api/analyze-server`;
       console.log('📤 Requesting server-side analysis from:', url);
-      const response = await fetch(url, {
+      const response = await authFetch(url, {
         method: 'POST',
         body: formData
       });
@@ -179,10 +483,65 @@ export const api = {
     }
   },
 
+  // Account deletion (scheduled, with a grace period)
+  deleteAccount: async ({ password, confirmation }) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/account/delete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password, confirmation })
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Delete account API error:', error);
+      throw error;
+    }
+  },
+
+  cancelAccountDeletion: async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/account/delete/cancel`, {
+        method: 'POST'
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Cancel account deletion API error:', error);
+      throw error;
+    }
+  },
+
+  // Returns the full personal data export (zip) as a Blob
+  exportMyData: async () => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/account/export`);
+      if (!response.ok) {
+        await handleResponse(response);
+      }
+      return await response.blob();
+    } catch (error) {
+      console.error('Export data API error:', error);
+      throw error;
+    }
+  },
+
+  // Returns the PDF report as a Blob
+  downloadReport: async (userId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/generate-pdf/${userId}`);
+      if (!response.ok) {
+        await handleResponse(response);
+      }
+      return await response.blob();
+    } catch (error) {
+      console.error('Download report API error:', error);
+      throw error;
+    }
+  },
+
   // Chat endpoints
   sendMessage: async (message, userId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/chat`, {
+      const response = await authFetch(`${API_BASE_URL}/api/chat`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ message, userId })
@@ -197,7 +556,7 @@ export const api = {
   // Medication endpoints
   getMedications: async (userId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/medications/${userId}`);
+      const response = await authFetch(`${API_BASE_URL}/api/medications/${userId}`);
       return await handleResponse(response);
     } catch (error) {
       console.error('Get medications API error:', error);
@@ -207,7 +566,7 @@ export const api = {
 
   addMedication: async (userId, medication) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/medications/${userId}`, {
+      const response = await authFetch(`${API_BASE_URL}/api/medications/${userId}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(medication)
@@ -226,7 +585,7 @@ export const api = {
 
   markMedicationTaken: async (userId, medicationId, time) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/medications/${userId}/${medicationId}/taken`, {
+      const response = await authFetch(`${API_BASE_URL}/api/medications/${userId}/${medicationId}/taken`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ time, date: new Date().toISOString().split('T')[0] })
@@ -240,7 +599,7 @@ export const api = {
 
   deleteMedication: async (userId, medicationId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/medications/${userId}/${medicationId}`, {
+      const response = await authFetch(`${API_BASE_URL}/api/medications/${userId}/${medicationId}`, {
         method: 'DELETE'
       });
       return await handleResponse(response);
@@ -250,10 +609,61 @@ export const api = {
     }
   },
 
+  // Lesion endpoints - each lesion is one tracked spot and its scans
+  getLesions: async (userId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/lesions/${userId}`);
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Get lesions API error:', error);
+      throw error;
+    }
+  },
+
+  addLesion: async (userId, lesion) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/lesions/${userId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(lesion)
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Add lesion API error:', error);
+      throw error;
+    }
+  },
+
+  updateLesion: async (userId, lesionId, changes) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/lesions/${userId}/${lesionId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Update lesion API error:', error);
+      throw error;
+    }
+  },
+
+  deleteLesion: async (userId, lesionId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/lesions/${userId}/${lesionId}`, {
+        method: 'DELETE'
+      });
+      return await handleResponse(response);
+    } catch (error) {
+      console.error('Delete lesion API error:', error);
+      throw error;
+    }
+  },
+
   // Gamification endpoints
   getGamification: async (userId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/gamification/${userId}`);
+      const response = await authFetch(`${API_BASE_URL}/api/gamification/${userId}`);
       return await handleResponse(response);
     } catch (error) {
       console.error('Get gamification API error:', error);
@@ -264,7 +674,7 @@ export const api = {
   awardXP: async (userId, xp, action) => {
     try {
       console.log('🎁 Awarding XP:', { userId, xp, action });
-      const response = await fetch(`${API_BASE_URL}/api/gamification/${userId}/award-xp`, {
+      const response = await authFetch(`${API_BASE_URL}/api/gamification/${userId}/award-xp`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ xp, action })
@@ -280,7 +690,7 @@ export const api = {
 
   checkIn: async (userId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/gamification/${userId}/check-in`, {
+      const response = await authFetch(`${API_BASE_URL}/api/gamification/${userId}/check-in`, {
         method: 'POST'
       });
       return await handleResponse(response);
@@ -292,7 +702,7 @@ export const api = {
 
   getAchievements: async (userId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/gamification/${userId}/achievements`);
+      const response = await authFetch(`${API_BASE_URL}/api/gamification/${userId}/achievements`);
       return await handleResponse(response);
     } catch (error) {
       console.error('Get achievements API error:', error);
@@ -302,7 +712,7 @@ export const api = {
 
   unlockAchievement: async (userId, achievementId) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/gamification/${userId}/unlock-achievement`, {
+      const response = await authFetch(`${API_BASE_URL}/api/gamification/${userId}/unlock-achievement`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ achievementId })
@@ -316,7 +726,7 @@ export const api = {
 
   updateGamificationStats: async (userId, stats, streaks) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/gamification/${userId}/update-stats`, {
+      const response = await authFetch(`${API_BASE_URL}/api/gamification/${userId}/update-stats`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ stats, streaks })
@@ -0,0 +1,266 @@
+/**
+ * Photo quality gate
+ *
+ * Checks a photo before it is analyzed: a blurry, dark, washed-out or glary
+ * photo - or one where the spot is tiny or cut off - gives measurements that
+ * look precise but aren't. Each problem found is an issue with retake
+ * guidance; 'block' issues stop the analysis unless the user overrides them,
+ * 'warn' issues are shown alongside the results.
+ *
+ * The same measurements run on live camera frames (assessFrame), so the
+ * capture screen can show whether a photo would pass before it is taken.
+ */
+
+import { segmentLesions } from './lesionSegmentation';
+
+// Measure a downscaled grayscale copy, so the thresholds don't depend on camera resolution
+const WORKING_SIZE = 640;
+// Live frames only need drawing this large - anything bigger is downscaled to it anyway
+export const FRAME_SIZE = WORKING_SIZE;
+// Variance of the Laplacian around the spot: below these the photo is out of focus
+const SHARPNESS_BLOCK = 10;
+const SHARPNESS_WARN = 30;
+// Mean brightness (0-255) outside these ranges is too dark or washed out
+const BRIGHTNESS_LIMITS = { blockBelow: 40, warnBelow: 70, warnAbove: 200, blockAbove: 230 };
+// Fraction of clipped pixels (near-black or near-white) that hides detail
+const CLIPPING_WARN = 0.2;
+// Specular highlights: near-white and colourless. Fraction of the spot's surroundings.
+const GLARE_LEVEL = 235;
+const GLARE_SATURATION = 0.12;
+const GLARE_WARN = 0.02;
+const GLARE_BLOCK = 0.1;
+// Spot size as a fraction of the shorter image side
+const LESION_TOO_SMALL = 0.06;
+const LESION_TOO_CLOSE = 0.8;
+// How far the spot's centre may sit from the frame centre, as a fraction of the half diagonal
+const CENTRE_TOLERANCE = 0.2;
+
+// What each issue means and how to fix it, by issue id
+export const QUALITY_ISSUES = {
+  blurry: {
+    message: 'The photo is out of focus',
+    guidance: 'Hold the camera steady, tap the spot to focus and wait a moment before capturing.'
+  },
+  'slightly-blurry': {
+    message: 'The photo is slightly soft',
+    guidance: 'Brace your hand or rest the camera on something, and make sure the spot is in focus.'
+  },
+  dark: {
+    message: 'The photo is too dark',
+    guidance: 'Move to a brighter spot or turn on a light - daylight from a window works best.'
+  },
+  overexposed: {
+    message: 'The photo is washed out',
+    guidance: 'Move out of direct sunlight or away from the lamp, and turn off the flash.'
+  },
+  glare: {
+    message: 'Glare is hiding part of the spot',
+    guidance: 'Tilt the camera slightly or use softer, indirect light so the skin does not shine.'
+  },
+  'too-small': {
+    message: 'The spot is very small in the frame',
+    guidance: 'Move the camera closer so the spot fills more of the middle of the frame.'
+  },
+  'too-close': {
+    message: 'The spot is cut off or too close',
+    guidance: 'Move the camera back so the whole spot fits in the frame with skin around it.'
+  },
+  'no-spot': {
+    message: 'No spot stood out from the skin',
+    guidance: 'Center the spot in the frame and make sure it is evenly lit.'
+  }
+};
+
+const issue = (id, severity) => ({ id, severity, ...QUALITY_ISSUES[id] });
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Grayscale and glare flags at working size: { gray, glare, width, height, scale }
+const downscale = ({ data, width, height }) => {
+  const scale = Math.max(1, Math.max(width, height) / WORKING_SIZE);
+  const w = Math.floor(width / scale);
+  const h = Math.floor(height / scale);
+  const gray = new Float32Array(w * h);
+  const glare = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (Math.floor(y * scale) * width + Math.floor(x * scale)) * 4;
+      const idx = y * w + x;
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      gray[idx] = 0.299 * r + 0.587 * g + 0.114 * b;
+      const max = Math.max(r, g, b);
+      glare[idx] = gray[idx] >= GLARE_LEVEL && (max - Math.min(r, g, b)) / max < GLARE_SATURATION ? 1 : 0;
+    }
+  }
+  return { gray, glare, width: w, height: h, scale };
+};
+
+// Variance of the 4-neighbour Laplacian inside a box - sharp edges give a high variance
+const laplacianVariance = (gray, width, { x0, y0, x1, y1 }) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = Math.max(1, y0); y <= y1 && y < gray.length / width - 1; y++) {
+    for (let x = Math.max(1, x0); x <= x1 && x < width - 1; x++) {
+      const idx = y * width + x;
+      const value = gray[idx - 1] + gray[idx + 1] + gray[idx - width] + gray[idx + width] - 4 * gray[idx];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+// Everything the quality checks look at, for a photo or a video frame
+const measure = (imageData) => {
+  const { gray, glare, width, height, scale } = downscale(imageData);
+
+  // Exposure over the whole frame
+  let total = 0;
+  let dark = 0;
+  let bright = 0;
+  for (let i = 0; i < gray.length; i++) {
+    total += gray[i];
+    if (gray[i] < 10) dark++;
+    if (gray[i] >= 250) bright++;
+  }
+
+  // Focus and glare matter most on and around the spot itself, so measure them
+  // there - a sharp spot on smooth skin has little detail anywhere else
+  const segmentation = segmentLesions(imageData);
+  const main = segmentation && segmentation.lesions[0];
+  let region = { x0: 0, y0: 0, x1: width - 1, y1: height - 1 };
+  let spot = null;
+  if (main) {
+    // Main spot box in working pixels, widened by half its size on each side
+    const toWorking = segmentation.scale / scale;
+    const box = {
+      x: main.box.x * toWorking,
+      y: main.box.y * toWorking,
+      width: main.box.width * toWorking,
+      height: main.box.height * toWorking
+    };
+    const margin = Math.max(box.width, box.height) / 2;
+    region = {
+      x0: Math.max(0, Math.floor(box.x - margin)),
+      y0: Math.max(0, Math.floor(box.y - margin)),
+      x1: Math.min(width - 1, Math.ceil(box.x + box.width + margin)),
+      y1: Math.min(height - 1, Math.ceil(box.y + box.height + margin))
+    };
+
+    const { width: w, height: h } = segmentation;
+    spot = {
+      size: Math.max(main.box.width, main.box.height) / Math.min(w, h),
+      cutOff: main.box.x === 0 || main.box.y === 0 || main.box.x + main.box.width >= w || main.box.y + main.box.height >= h,
+      offCentre: Math.hypot(main.box.x + main.box.width / 2 - w / 2, main.box.y + main.box.height / 2 - h / 2) /
+        (Math.hypot(w, h) / 2)
+    };
+  }
+
+  let glarePixels = 0;
+  let regionPixels = 0;
+  for (let y = region.y0; y <= region.y1; y++) {
+    for (let x = region.x0; x <= region.x1; x++) {
+      glarePixels += glare[y * width + x];
+      regionPixels++;
+    }
+  }
+
+  return {
+    sharpness: laplacianVariance(gray, width, region),
+    brightness: total / gray.length,
+    darkClipping: dark / gray.length,
+    brightClipping: bright / gray.length,
+    glare: regionPixels > 0 ? glarePixels / regionPixels : 0,
+    // null when no spot was found
+    spot
+  };
+};
+
+/**
+ * Check whether a photo is good enough to analyze
+ * @param {ImageData} imageData - Full-resolution image pixels
+ * @returns {Object} { passed, scores, issues } - passed is false when any issue blocks the analysis.
+ *   scores: { sharpness, brightness, darkClipping, brightClipping, glare, lesionSize };
+ *   issues: [{ id, severity: 'block' | 'warn', message, guidance }], from QUALITY_ISSUES
+ */
+export const assessImageQuality = (imageData) => {
+  const { sharpness, brightness, darkClipping, brightClipping, glare, spot } = measure(imageData);
+  const issues = [];
+
+  if (brightness < BRIGHTNESS_LIMITS.blockBelow) issues.push(issue('dark', 'block'));
+  else if (brightness < BRIGHTNESS_LIMITS.warnBelow || darkClipping > CLIPPING_WARN) issues.push(issue('dark', 'warn'));
+  if (brightness > BRIGHTNESS_LIMITS.blockAbove) issues.push(issue('overexposed', 'block'));
+  else if (brightness > BRIGHTNESS_LIMITS.warnAbove || brightClipping > CLIPPING_WARN) issues.push(issue('overexposed', 'warn'));
+
+  if (!spot) issues.push(issue('no-spot', 'warn'));
+  else if (spot.cutOff || spot.size > LESION_TOO_CLOSE) issues.push(issue('too-close', 'warn'));
+  else if (spot.size < LESION_TOO_SMALL) issues.push(issue('too-small', 'warn'));
+
+  if (sharpness < SHARPNESS_BLOCK) issues.push(issue('blurry', 'block'));
+  else if (sharpness < SHARPNESS_WARN) issues.push(issue('slightly-blurry', 'warn'));
+
+  if (glare >= GLARE_BLOCK) issues.push(issue('glare', 'block'));
+  else if (glare >= GLARE_WARN) issues.push(issue('glare', 'warn'));
+
+  return {
+    passed: !issues.some(i => i.severity === 'block'),
+    scores: {
+      sharpness: round(sharpness, 1),
+      brightness: round(brightness, 1),
+      darkClipping: round(darkClipping, 3),
+      brightClipping: round(brightClipping, 3),
+      glare: round(glare, 3),
+      lesionSize: spot ? round(spot.size, 3) : null
+    },
+    issues
+  };
+};
+
+/**
+ * Live capture guidance for one camera frame
+ * Uses the same thresholds as assessImageQuality, so a frame that is all
+ * 'good' makes a photo that passes without warnings.
+ * @param {ImageData} imageData - Video frame pixels, drawn FRAME_SIZE pixels across (smaller frames read as sharper)
+ * @returns {Object} { ready, sharpness, brightness, centering } - each indicator is
+ *   { status: 'good' | 'fair' | 'poor', hint }, and ready is true when all are good
+ */
+export const assessFrame = (imageData) => {
+  const { sharpness, brightness, darkClipping, brightClipping, glare, spot } = measure(imageData);
+
+  const indicators = {
+    sharpness: sharpness < SHARPNESS_BLOCK
+      ? { status: 'poor', hint: 'Out of focus - hold steady' }
+      : sharpness < SHARPNESS_WARN
+        ? { status: 'fair', hint: 'Slightly soft - hold steady' }
+        : { status: 'good', hint: 'In focus' },
+    brightness: brightness < BRIGHTNESS_LIMITS.blockBelow
+      ? { status: 'poor', hint: 'Too dark - add light' }
+      : brightness > BRIGHTNESS_LIMITS.blockAbove || glare >= GLARE_BLOCK
+        ? { status: 'poor', hint: 'Too bright - avoid direct light' }
+        : brightness < BRIGHTNESS_LIMITS.warnBelow || darkClipping > CLIPPING_WARN
+          ? { status: 'fair', hint: 'A little dark' }
+          : brightness > BRIGHTNESS_LIMITS.warnAbove || brightClipping > CLIPPING_WARN || glare >= GLARE_WARN
+            ? { status: 'fair', hint: 'A little bright or shiny' }
+            : { status: 'good', hint: 'Well lit' },
+    centering: !spot
+      ? { status: 'poor', hint: 'No spot found - aim at it' }
+      : spot.cutOff || spot.size > LESION_TOO_CLOSE
+        ? { status: 'fair', hint: 'Too close - move back' }
+        : spot.size < LESION_TOO_SMALL
+          ? { status: 'fair', hint: 'Too far - move closer' }
+          : spot.offCentre > CENTRE_TOLERANCE
+            ? { status: 'fair', hint: 'Move the spot to the centre' }
+            : { status: 'good', hint: 'Centered' }
+  };
+
+  return {
+    ready: Object.values(indicators).every(indicator => indicator.status === 'good'),
+    ...indicators
+  };
+};
@@ -0,0 +1,291 @@
+/**
+ * Pixel-level lesion analysis
+ *
+ * Finds the size reference, segments every lesion and measures each one.
+ * Pure functions over ImageData, so the same code runs in
+ * lesionAnalysis.worker.js (off the main thread) or directly as a fallback.
+ */
+
+import { detectReference } from './referenceDetection';
+import { segmentLesions } from './lesionSegmentation';
+
+// Scale assumed when no reference object is found (~1mm per 10 pixels at
+// close range). Only a rough guess, so such measurements are flagged uncalibrated.
+const UNCALIBRATED_PIXELS_PER_MM = 10;
+
+/**
+ * Extract dominant colors from lesion region
+ * @param {Uint8Array} colors - Packed RGB values of the lesion's pixels
+ * @param {number} count - Number of pixels in colors
+ * @returns {Array<Object>} Dominant colors with percentages
+ */
+const extractDominantColors = (colors, count) => {
+  if (count === 0) return [];
+  
+  // Simple k-means clustering for color extraction (simplified)
+  const colorGroups = {};
+  const groupSize = 32; // Quantize colors
+  
+  for (let c = 0; c < count * 3; c += 3) {
+    const r = Math.floor(colors[c] / groupSize) * groupSize;
+    const g = Math.floor(colors[c + 1] / groupSize) * groupSize;
+    const b = Math.floor(colors[c + 2] / groupSize) * groupSize;
+    const key = `${r},${g},${b}`;
+    
+    if (!colorGroups[key]) {
+      colorGroups[key] = { color: [r, g, b], count: 0 };
+    }
+    colorGroups[key].count++;
+  }
+  
+  // Sort by frequency and return top 3
+  return Object.values(colorGroups)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 3)
+    .map(group => ({
+      rgb: group.color,
+      hex: `#${group.color[0].toString(16).padStart(2, '0')}${group.color[1].toString(16).padStart(2, '0')}${group.color[2].toString(16).padStart(2, '0')}`,
+      percentage: Math.round((group.count / count) * 100)
+    }));
+};
+
+/**
+ * Measure one segmented lesion
+ * @param {Object} region - { mask, box, area } from segmentLesions, in working pixels
+ * @param {Object} segmentation - { width, height, scale } of the working size
+ * @param {ImageData} imageData - Full-resolution image pixels, for the lesion's colors
+ * @param {Object|null} calibration - Detected reference object, or null
+ * @returns {Object} Lesion details
+ */
+const measureLesion = (region, { width: maskWidth, height: maskHeight, scale }, imageData, calibration) => {
+  const { data } = imageData;
+  const { mask: lesionMask, box } = region;
+
+  // Measurements run on the working-size mask; scale converts back to image pixels
+  const minX = box.x;
+  const maxX = box.x + box.width - 1;
+  const minY = box.y;
+  const maxY = box.y + box.height - 1;
+  const isLesion = (x, y) => x >= 0 && y >= 0 && x < maskWidth && y < maskHeight && lesionMask[y * maskWidth + x] === 1;
+  const isBorder = (x, y) => isLesion(x, y) &&
+    (!isLesion(x, y - 1) || !isLesion(x, y + 1) || !isLesion(x - 1, y) || !isLesion(x + 1, y));
+
+  // Calculate size measurements
+  const width = box.width * scale;
+  const height = box.height * scale;
+  const area = region.area * scale * scale;
+  const diameter = Math.sqrt(area / Math.PI) * 2; // Equivalent diameter
+  
+  // Calculate aspect ratio
+  const aspectRatio = width > 0 ? height / width : 1;
+  
+  // Calculate circularity (4π * area / perimeter^2), in mask pixels
+  let perimeter = 0;
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      if (isBorder(x, y)) perimeter++;
+    }
+  }
+  const circularity = perimeter > 0 ? Math.min(1, (4 * Math.PI * region.area) / (perimeter * perimeter)) : 0;
+  
+  // Calculate color variation over the lesion's own pixels, packed r,g,b,r,g,b...
+  const colors = new Uint8Array(region.area * 3);
+  let colorCount = 0;
+  let sumR = 0, sumG = 0, sumB = 0;
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      if (!isLesion(x, y)) continue;
+      const i = (Math.floor(y * scale) * imageData.width + Math.floor(x * scale)) * 4;
+      colors[colorCount * 3] = data[i];
+      colors[colorCount * 3 + 1] = data[i + 1];
+      colors[colorCount * 3 + 2] = data[i + 2];
+      sumR += data[i];
+      sumG += data[i + 1];
+      sumB += data[i + 2];
+      colorCount++;
+    }
+  }
+  
+  // Calculate color variance
+  let colorVariation = 0;
+  if (colorCount > 0) {
+    const avgR = sumR / colorCount;
+    const avgG = sumG / colorCount;
+    const avgB = sumB / colorCount;
+    
+    let squaredDistance = 0;
+    for (let c = 0; c < colorCount * 3; c += 3) {
+      const dr = colors[c] - avgR;
+      const dg = colors[c + 1] - avgG;
+      const db = colors[c + 2] - avgB;
+      squaredDistance += dr * dr + dg * dg + db * db;
+    }
+    
+    colorVariation = Math.min(1, Math.sqrt(squaredDistance / colorCount) / 255);
+  }
+  
+  // Calculate border irregularity (deviation from smooth circle)
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+  const avgRadius = Math.sqrt(region.area / Math.PI);
+  let borderDeviation = 0;
+  let borderPoints = 0;
+  
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      if (isBorder(x, y)) {
+        const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+        borderDeviation += Math.abs(dist - avgRadius);
+        borderPoints++;
+      }
+    }
+  }
+  const borderIrregularity = borderPoints > 0 ? Math.min(1, borderDeviation / (borderPoints * avgRadius)) : 0;
+  
+  // Calculate asymmetry score (compare left vs right halves)
+  let leftHalfPixels = 0, rightHalfPixels = 0;
+  const centerLineX = (minX + maxX) / 2;
+  
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      if (isLesion(x, y)) {
+        if (x < centerLineX) leftHalfPixels++;
+        else rightHalfPixels++;
+      }
+    }
+  }
+  
+  const totalPixels = leftHalfPixels + rightHalfPixels;
+  const asymmetryScore = totalPixels > 0 
+    ? Math.abs(leftHalfPixels - rightHalfPixels) / totalPixels 
+    : 0;
+  
+  const pixelsPerMM = calibration ? calibration.pixelsPerMM : UNCALIBRATED_PIXELS_PER_MM;
+  const widthMM = width / pixelsPerMM;
+  const heightMM = height / pixelsPerMM;
+  const diameterMM = diameter / pixelsPerMM;
+  
+  return {
+    // Size measurements
+    width: Math.round(width),
+    height: Math.round(height),
+    area: Math.round(area),
+    diameter: Math.round(diameter),
+    widthMM: Math.round(widthMM * 10) / 10,
+    heightMM: Math.round(heightMM * 10) / 10,
+    diameterMM: Math.round(diameterMM * 10) / 10,
+    areaMM2: Math.round((area / (pixelsPerMM * pixelsPerMM)) * 10) / 10,
+    calibrated: Boolean(calibration),
+    pixelsPerMM: calibration ? calibration.pixelsPerMM : null,
+    calibration: calibration
+      ? {
+        referenceId: calibration.referenceId,
+        sizeMM: calibration.sizeMM,
+        pixelSize: calibration.pixelSize,
+        confidence: calibration.confidence
+      }
+      : null,
+    
+    // Shape analysis
+    aspectRatio: Math.round(aspectRatio * 100) / 100,
+    circularity: Math.round(circularity * 100) / 100,
+    shape: aspectRatio > 0.8 && aspectRatio < 1.2 && circularity > 0.7 
+      ? 'Round' 
+      : aspectRatio > 1.5 || aspectRatio < 0.67 
+        ? 'Irregular' 
+        : 'Oval',
+    
+    // Color analysis
+    colorVariation: Math.round(colorVariation * 100) / 100,
+    dominantColors: extractDominantColors(colors, colorCount),
+    
+    // Border analysis
+    borderIrregularity: Math.round(borderIrregularity * 100) / 100,
+    borderSmoothness: Math.round((1 - borderIrregularity) * 100) / 100,
+    
+    // Asymmetry
+    asymmetryScore: Math.round(asymmetryScore * 100) / 100,
+    
+    // ABCDE scores (0-1 scale)
+    asymmetry: asymmetryScore,
+    border: borderIrregularity,
+    color: colorVariation,
+    diameter: Math.min(1, diameterMM / 6), // 6mm is concerning threshold
+    evolving: 0 // Scored against earlier scans in applyEvolution()
+  };
+};
+
+/**
+ * Lesion details for an image where no lesion could be measured
+ * @returns {Object} Zeroed lesion analysis
+ */
+export const emptyLesionDetails = () => ({
+  width: 0,
+  height: 0,
+  area: 0,
+  widthMM: 0,
+  heightMM: 0,
+  diameterMM: 0,
+  areaMM2: 0,
+  calibrated: false,
+  pixelsPerMM: null,
+  calibration: null,
+  aspectRatio: 1,
+  circularity: 1,
+  shape: 'Unknown',
+  colorVariation: 0,
+  dominantColors: [],
+  borderIrregularity: 0,
+  borderSmoothness: 1,
+  asymmetryScore: 0,
+  asymmetry: 0,
+  border: 0,
+  color: 0,
+  diameter: 0,
+  evolving: 0
+});
+
+/**
+ * Analyze the lesions in a photo
+ * Sizes are in millimetres when the reference object is found in the frame
+ * (calibrated: true); otherwise they are rough estimates.
+ * @param {ImageData} imageData - Full-resolution image pixels
+ * @param {Object} [options]
+ * @param {Object} [options.reference] - Reference object in the frame, from REFERENCE_OBJECTS
+ * @param {Function} [options.onProgress] - Called with { stage, progress } (0-1) as the analysis advances
+ * @returns {Object} Detailed lesion analysis of the main spot, plus detections ([{ box, lesionDetails }],
+ *   main spot first) and segmentation (working-size masks, or null if no lesion was found)
+ */
+export const analyzeLesionPixels = (imageData, { reference = null, onProgress = () => {} } = {}) => {
+  // Scale from the reference object, which is then kept out of the lesion mask
+  if (reference) onProgress({ stage: 'Finding the size reference', progress: 0 });
+  const calibration = detectReference(imageData, reference);
+
+  onProgress({ stage: 'Separating spots from the skin', progress: 0.15 });
+  const segmentation = segmentLesions(imageData, { exclude: calibration && calibration.box });
+  if (!segmentation) {
+    return { ...emptyLesionDetails(), detections: [], segmentation: null };
+  }
+
+  const { scale, lesions } = segmentation;
+  const detections = lesions.map((region, idx) => {
+    onProgress({ stage: `Measuring spot ${idx + 1} of ${lesions.length}`, progress: 0.7 + 0.3 * (idx / lesions.length) });
+    return {
+      // In image pixels, like the reference box
+      box: {
+        x: Math.floor(region.box.x * scale),
+        y: Math.floor(region.box.y * scale),
+        width: Math.ceil(region.box.width * scale),
+        height: Math.ceil(region.box.height * scale)
+      },
+      lesionDetails: measureLesion(region, segmentation, imageData, calibration)
+    };
+  });
+
+  return {
+    ...detections[0].lesionDetails,
+    detections,
+    // Working-size masks for drawing outlines; not part of the saved analysis
+    segmentation
+  };
+};
@@ -0,0 +1,43 @@
+/**
+ * Lesion analysis worker
+ *
+ * Runs the pixel analyses off the main thread so the UI stays responsive on
+ * full-resolution captures. Messages in: { id, task, bitmap, reference } with
+ * the ImageBitmap transferred, where task is 'lesions' (analyzeLesionPixels),
+ * 'quality' (assessImageQuality) or 'frame' (assessFrame, for live camera
+ * frames). Messages out, tagged with the same id:
+ *   { type: 'progress', stage, progress }
+ *   { type: 'result', result } - segmentation masks are transferred back
+ *   { type: 'error', message }
+ */
+
+import { analyzeLesionPixels } from './lesionAnalysis';
+import { assessImageQuality, assessFrame } from './imageQuality';
+
+// Tasks whose result needs no progress reports or transfers
+const CHECKS = { quality: assessImageQuality, frame: assessFrame };
+
+// eslint-disable-next-line no-restricted-globals
+self.addEventListener('message', ({ data: { id, task, bitmap, reference } }) => {
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    if (CHECKS[task]) {
+      postMessage({ id, type: 'result', result: CHECKS[task](imageData) });
+      return;
+    }
+
+    const result = analyzeLesionPixels(imageData, {
+      reference,
+      onProgress: ({ stage, progress }) => postMessage({ id, type: 'progress', stage, progress })
+    });
+    const masks = result.segmentation ? result.segmentation.lesions.map(lesion => lesion.mask.buffer) : [];
+    postMessage({ id, type: 'result', result }, masks);
+  } catch (error) {
+    postMessage({ id, type: 'error', message: error.message });
+  }
+});
@@ -0,0 +1,91 @@
+/**
+ * Lesion evolution - the "E" in ABCDE
+ *
+ * A single photo can't show evolution, so E is scored by comparing a new
+ * scan's lesion measurements with the earlier analyses of the same lesion.
+ */
+
+// What counts as a significant change for each measurement. Diameter is
+// compared relative to its earlier size, and only between scans whose size
+// was calibrated against a reference object; the others are 0-1 scores.
+export const EVOLUTION_METRICS = {
+  diameter: { field: 'diameterMM', label: 'Diameter', relative: true, calibrated: true, significant: 0.2 },
+  border: { field: 'borderIrregularity', label: 'Border irregularity', significant: 0.15 },
+  color: { field: 'colorVariation', label: 'Color variation', significant: 0.15 },
+  asymmetry: { field: 'asymmetryScore', label: 'Asymmetry', significant: 0.15 }
+};
+
+// Scores above this flag the lesion as evolving, like the other ABCDE thresholds
+export const EVOLVING_THRESHOLD = 0.5;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const changeBetween = (metric, from, to) => {
+  if (typeof from !== 'number' || typeof to !== 'number') return null;
+  if (metric.relative) {
+    return from > 0 ? (to - from) / from : null;
+  }
+  return to - from;
+};
+
+/**
+ * Score how much a lesion has changed since its earlier scans
+ * @param {Object} current - lesionDetails of the new scan
+ * @param {Array<{uploadedAt: string, lesionDetails: Object}>} history - earlier analyses of the same lesion
+ * @returns {Object|null} { score, evolving, priorScans, baselineAt, previousAt, changes }, or null without history
+ */
+export const assessEvolution = (current, history = []) => {
+  const prior = history
+    .filter(scan => scan.lesionDetails)
+    .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+  if (!current || prior.length === 0) return null;
+
+  const baseline = prior[0];
+  const previous = prior[prior.length - 1];
+  const changes = {};
+
+  Object.entries(EVOLUTION_METRICS).forEach(([key, metric]) => {
+    if (metric.calibrated && !current.calibrated) return;
+    const comparable = metric.calibrated ? prior.filter(scan => scan.lesionDetails.calibrated) : prior;
+    if (comparable.length === 0) return;
+
+    const to = current[metric.field];
+    // Compare with both the first and the latest scan, so slow drift and
+    // sudden jumps are both caught
+    const candidates = [
+      { since: 'baseline', from: comparable[0].lesionDetails[metric.field] },
+      { since: 'previous', from: comparable[comparable.length - 1].lesionDetails[metric.field] }
+    ]
+      .map(candidate => ({ ...candidate, change: changeBetween(metric, candidate.from, to) }))
+      .filter(candidate => candidate.change !== null);
+    if (candidates.length === 0) return;
+
+    const largest = candidates.reduce((a, b) => (Math.abs(b.change) > Math.abs(a.change) ? b : a));
+    changes[key] = {
+      from: round(largest.from),
+      to: round(to),
+      change: round(largest.change),
+      since: largest.since,
+      // Reaches EVOLVING_THRESHOLD exactly at a significant change
+      score: round(Math.min(1, Math.abs(largest.change) / (metric.significant / EVOLVING_THRESHOLD)))
+    };
+  });
+
+  const score = Math.max(0, ...Object.values(changes).map(change => change.score));
+  return {
+    score,
+    evolving: score >= EVOLVING_THRESHOLD,
+    priorScans: prior.length,
+    baselineAt: new Date(baseline.uploadedAt).toISOString(),
+    previousAt: new Date(previous.uploadedAt).toISOString(),
+    changes
+  };
+};
+
+// "+35%" for diameter, "+0.18" for the 0-1 scores
+export const formatEvolutionChange = (key, change) => {
+  const sign = change.change >= 0 ? '+' : '';
+  return EVOLUTION_METRICS[key].relative
+    ? `${sign}${Math.round(change.change * 100)}%`
+    : `${sign}${change.change.toFixed(2)}`;
+};
@@ -0,0 +1,338 @@
+/**
+ * Lesion segmentation
+ *
+ * Separates the spot from the surrounding skin before anything is measured:
+ *   1. lightness (CIE L*) at a working size, which follows how dark pigment looks on any skin tone
+ *   2. hair removal - thin dark lines are filled in by a directional closing (the DullRazor idea)
+ *   3. Otsu's threshold on the cleaned lightness, so the cut adapts to skin tone and lighting
+ *   4. morphological opening/closing and hole filling to tidy the mask
+ *   5. connected regions ranked by size and nearness to the centre of the frame - the user aims
+ *      at the spot that matters most, so shadows, tattoos and background at the edges lose out
+ *
+ * One photo of a back or an arm often holds several moles; every region is
+ * returned, main spot first.
+ */
+
+// Segment a downscaled copy; the mask is mapped back to image pixels through `scale`
+const WORKING_SIZE = 512;
+// Hair is thinner than this many working pixels; lesions are wider
+const HAIR_LENGTH = 7;
+// How much darker than its closed surroundings a pixel must be to count as hair (L* units)
+const HAIR_CONTRAST = 8;
+// Regions smaller than this fraction of the frame are noise
+const MIN_AREA_FRACTION = 0.0005;
+// Hair removal also lifts a lesion's outermost pixels; grow the mask back this far
+const REGROW_STEPS = 2;
+
+// 4-connected components of a mask: [{ pixels, minX, maxX, minY, maxY, touchesEdge }]
+export const connectedComponents = (mask, width, height) => {
+  const labels = new Int32Array(width * height).fill(-1);
+  const components = [];
+  const stack = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start] !== -1) continue;
+
+    const component = { pixels: [], minX: width, maxX: 0, minY: height, maxY: 0, touchesEdge: false };
+    labels[start] = components.length;
+    stack.push(start);
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const x = idx % width;
+      const y = (idx - x) / width;
+      component.pixels.push(idx);
+      component.minX = Math.min(component.minX, x);
+      component.maxX = Math.max(component.maxX, x);
+      component.minY = Math.min(component.minY, y);
+      component.maxY = Math.max(component.maxY, y);
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) component.touchesEdge = true;
+
+      const neighbors = [
+        x > 0 ? idx - 1 : -1,
+        x < width - 1 ? idx + 1 : -1,
+        y > 0 ? idx - width : -1,
+        y < height - 1 ? idx + width : -1
+      ];
+      neighbors.forEach(n => {
+        if (n !== -1 && mask[n] && labels[n] === -1) {
+          labels[n] = components.length;
+          stack.push(n);
+        }
+      });
+    }
+    components.push(component);
+  }
+  return components;
+};
+
+// sRGB (0-255) to CIE L* (0-100)
+const srgbToLinear = (channel) => {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+const LINEAR = Array.from({ length: 256 }, (_, v) => srgbToLinear(v));
+
+const lightness = (r, g, b) => {
+  const y = 0.2126 * LINEAR[r] + 0.7152 * LINEAR[g] + 0.0722 * LINEAR[b];
+  return y > 0.008856 ? 116 * Math.cbrt(y) - 16 : 903.3 * y;
+};
+
+// L* at working size: { values, width, height, scale }
+const toLightness = ({ data, width, height }) => {
+  const scale = Math.max(1, Math.max(width, height) / WORKING_SIZE);
+  const w = Math.floor(width / scale);
+  const h = Math.floor(height / scale);
+  const values = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (Math.floor(y * scale) * width + Math.floor(x * scale)) * 4;
+      values[y * w + x] = lightness(data[i], data[i + 1], data[i + 2]);
+    }
+  }
+  return { values, width: w, height: h, scale };
+};
+
+// Min or max of each pixel along a line through it
+const lineFilter = (values, width, height, [dx, dy], length, pick) => {
+  const out = new Float32Array(values.length);
+  const reach = Math.floor(length / 2);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let result = values[y * width + x];
+      for (let step = -reach; step <= reach; step++) {
+        const nx = x + step * dx;
+        const ny = y + step * dy;
+        if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
+          result = pick(result, values[ny * width + nx]);
+        }
+      }
+      out[y * width + x] = result;
+    }
+  }
+  return out;
+};
+
+// Hair is dark and thin in at least one direction, so a closing (max then min)
+// along that direction lifts it to the skin around it; lesions are too wide to be lifted
+const removeHair = (values, width, height) => {
+  const directions = [[1, 0], [0, 1], [1, 1], [1, -1]];
+  const closed = new Float32Array(values.length);
+  directions.forEach(direction => {
+    const dilated = lineFilter(values, width, height, direction, HAIR_LENGTH, Math.max);
+    const closing = lineFilter(dilated, width, height, direction, HAIR_LENGTH, Math.min);
+    for (let i = 0; i < closed.length; i++) closed[i] = Math.max(closed[i], closing[i]);
+  });
+
+  const cleaned = new Float32Array(values.length);
+  let hairPixels = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (closed[i] - values[i] > HAIR_CONTRAST) {
+      cleaned[i] = closed[i];
+      hairPixels++;
+    } else {
+      cleaned[i] = values[i];
+    }
+  }
+  return { cleaned, hairFraction: hairPixels / values.length };
+};
+
+// 3x3 box blur, to keep skin texture from speckling the threshold
+const smooth = (values, width, height) => {
+  const out = new Float32Array(values.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          sum += values[ny * width + nx];
+          count++;
+        }
+      }
+      out[y * width + x] = sum / count;
+    }
+  }
+  return out;
+};
+
+// Otsu's method over L* (0-100): the cut that best separates dark from light
+const otsuThreshold = (values, include = () => true) => {
+  const histogram = new Array(101).fill(0);
+  let total = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (!include(i)) continue;
+    histogram[Math.max(0, Math.min(100, Math.round(values[i])))]++;
+    total++;
+  }
+  if (total === 0) return 50;
+
+  const sumAll = histogram.reduce((sum, count, level) => sum + count * level, 0);
+  let sumBelow = 0;
+  let countBelow = 0;
+  let best = { threshold: 50, variance: -1 };
+  for (let level = 0; level <= 100; level++) {
+    countBelow += histogram[level];
+    sumBelow += histogram[level] * level;
+    const countAbove = total - countBelow;
+    if (countBelow === 0 || countAbove === 0) continue;
+
+    const meanBelow = sumBelow / countBelow;
+    const meanAbove = (sumAll - sumBelow) / countAbove;
+    const variance = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+    if (variance > best.variance) best = { threshold: level + 0.5, variance };
+  }
+  return best.threshold;
+};
+
+// Binary erosion (set = 0: a pixel survives only if its whole 3x3 block is set)
+// or dilation (set = 1: a pixel is set if anything in its 3x3 block is)
+const morph = (mask, width, height, set) => {
+  const out = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = 1 - set;
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1) && value !== set; ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          if (mask[ny * width + nx] === set) {
+            value = set;
+            break;
+          }
+        }
+      }
+      out[y * width + x] = value;
+    }
+  }
+  return out;
+};
+const erode = (mask, width, height) => morph(mask, width, height, 0);
+const dilate = (mask, width, height) => morph(mask, width, height, 1);
+
+// Fill enclosed gaps, like a light centre in a ring-shaped lesion
+const fillHoles = (mask, width, height) => {
+  const inverse = mask.map(v => (v ? 0 : 1));
+  const filled = Uint8Array.from(mask);
+  connectedComponents(inverse, width, height).forEach(component => {
+    if (!component.touchesEdge) component.pixels.forEach(idx => { filled[idx] = 1; });
+  });
+  return filled;
+};
+
+// Threshold, clean up and label the dark regions among the included pixels
+const darkRegions = (values, width, height, include) => {
+  const threshold = otsuThreshold(values, include);
+  let mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = values[i] < threshold && include(i) ? 1 : 0;
+  }
+
+  // Opening drops specks, closing bridges small gaps along the border
+  mask = dilate(erode(mask, width, height), width, height);
+  mask = erode(dilate(mask, width, height), width, height);
+  mask = fillHoles(mask, width, height);
+
+  const minArea = width * height * MIN_AREA_FRACTION;
+  const components = connectedComponents(mask, width, height).filter(c => c.pixels.length >= minArea);
+  return { threshold, components };
+};
+
+// At most this many spots are reported for one photo
+const MAX_LESIONS = 8;
+
+// Grow a region back over the dark pixels right around it, without following hair far
+const regrow = (component, dark, width, height) => {
+  const mask = new Uint8Array(width * height);
+  component.pixels.forEach(idx => { mask[idx] = 1; });
+  let frontier = component.pixels;
+  for (let step = 0; step < REGROW_STEPS; step++) {
+    const next = [];
+    frontier.forEach(idx => {
+      const x = idx % width;
+      [x > 0 ? idx - 1 : -1, x < width - 1 ? idx + 1 : -1, idx - width, idx + width].forEach(n => {
+        if (n >= 0 && n < mask.length && !mask[n] && dark(n)) {
+          mask[n] = 1;
+          next.push(n);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return mask;
+};
+
+/**
+ * Find the lesions in an image
+ * @param {ImageData} imageData - Full-resolution image pixels
+ * @param {Object} [options]
+ * @param {Object} [options.exclude] - { x, y, width, height } in image pixels to leave out, e.g. the size reference
+ * @returns {Object|null} { width, height, scale, threshold, hairFraction, lesions }, or null if no lesion
+ *   stands out. lesions are { mask, box, area }, main spot first; each mask is width x height (working
+ *   size, 1 = lesion) and box/area are in working pixels - multiply by scale for image pixels.
+ */
+export const segmentLesions = (imageData, { exclude = null } = {}) => {
+  const { values, width, height, scale } = toLightness(imageData);
+  const { cleaned, hairFraction } = removeHair(values, width, height);
+  const smoothed = smooth(cleaned, width, height);
+
+  const excluded = (idx) => {
+    if (!exclude) return false;
+    const x = (idx % width) * scale;
+    const y = Math.floor(idx / width) * scale;
+    return x >= exclude.x && x < exclude.x + exclude.width && y >= exclude.y && y < exclude.y + exclude.height;
+  };
+
+  let { threshold, components } = darkRegions(smoothed, width, height, idx => !excluded(idx));
+  // Regions running off the frame are usually background or shadow. A big one can
+  // claim the threshold for itself, so look again without it before falling back to it.
+  let inside = components.filter(c => !c.touchesEdge);
+  const edges = components.filter(c => c.touchesEdge);
+  if (inside.length === 0 && edges.length > 0) {
+    const background = new Uint8Array(width * height);
+    edges.forEach(c => c.pixels.forEach(idx => { background[idx] = 1; }));
+    const retry = darkRegions(smoothed, width, height, idx => !excluded(idx) && !background[idx]);
+    inside = retry.components.filter(c => !c.touchesEdge);
+    if (inside.length > 0) threshold = retry.threshold;
+  }
+  const candidates = inside.length > 0 ? inside : edges;
+  if (candidates.length === 0) return null;
+
+  // Prefer big regions, steeply discounted by how far they sit from the centre:
+  // halfway to a corner, a region must be ~16x larger to win
+  const halfDiagonal = Math.hypot(width, height) / 2;
+  const rank = (component) => {
+    const cx = (component.minX + component.maxX) / 2;
+    const cy = (component.minY + component.maxY) / 2;
+    const offCentre = Math.hypot(cx - width / 2, cy - height / 2) / halfDiagonal;
+    return component.pixels.length * (1 - offCentre) ** 4;
+  };
+  const ranked = candidates
+    .map(component => ({ component, rank: rank(component) }))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, MAX_LESIONS);
+
+  const dark = idx => values[idx] < threshold && !excluded(idx);
+  const lesions = ranked.map(({ component }) => {
+    const mask = regrow(component, dark, width, height);
+    let area = 0;
+    let minX = width, maxX = 0, minY = height, maxY = 0;
+    for (let idx = 0; idx < mask.length; idx++) {
+      if (!mask[idx]) continue;
+      const x = idx % width;
+      const y = (idx - x) / width;
+      area++;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+    return { mask, box: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }, area };
+  });
+
+  return {
+    width,
+    height,
+    scale,
+    threshold: Math.round(threshold * 10) / 10,
+    hairFraction: Math.round(hairFraction * 1000) / 1000,
+    lesions
+  };
+};
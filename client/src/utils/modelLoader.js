@@ -5,6 +5,29 @@
 
 import * as tf from '@tensorflow/tfjs';
 import * as mobilenet from '@tensorflow-models/mobilenet';
+import { assessEvolution } from './lesionEvolution';
+import { analyzeLesionPixels, emptyLesionDetails } from './lesionAnalysis';
+import { assessImageQuality, assessFrame, FRAME_SIZE } from './imageQuality';
+
+// Rejection for analyses stopped through their AbortSignal
+const cancelled = () => new DOMException('Analysis cancelled', 'AbortError');
+
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) throw cancelled();
+};
+
+const workerSupported = () => typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+
+// Full-resolution pixels of a loaded image, for analysis on the main thread
+const imageDataOf = (img) => {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
 
 class ModelLoader {
   constructor() {
@@ -16,6 +39,10 @@ class ModelLoader {
       cancer: false,
       infection: false
     };
+    // Pixel analysis runs in a worker (see runLesionWorker); jobs are matched to replies by id
+    this.lesionWorker = null;
+    this.lesionJobs = new Map();
+    this.nextLesionJobId = 1;
     this.modelPaths = {
       // Update these paths to point to your actual model files
       // Models should be placed in public/models/ directory
@@ -205,22 +232,24 @@ class ModelLoader {
    * Predict cancer risk from image
    * Uses MobileNet (mandatory - no fallback)
    * @param {string} imageSrc - Base64 image or image URL
+   * @param {Object} [options] - { reference, onProgress, signal } (see analyzeImage)
    * @returns {Promise<Object>} Prediction results
    */
-  async predictCancer(imageSrc) {
+  async predictCancer(imageSrc, options = {}) {
     const model = await this.loadCancerModel();
     
     // Always use MobileNet's classify method
-    return await this.predictCancerWithMobileNet(imageSrc, model);
+    return await this.predictCancerWithMobileNet(imageSrc, model, options);
   }
 
   /**
    * Predict using MobileNet model
    * @param {string} imageSrc - Base64 image or image URL
    * @param {mobilenet.MobileNet} model - MobileNet model
+   * @param {Object} [options] - { reference, onProgress, signal } (see analyzeImage)
    * @returns {Promise<Object>} Prediction results
    */
-  async predictCancerWithMobileNet(imageSrc, model) {
+  async predictCancerWithMobileNet(imageSrc, model, { reference = null, onProgress = () => {}, signal = null } = {}) {
     try {
       // MobileNet's classify method expects an HTMLImageElement, HTMLCanvasElement, or ImageData
       // It handles preprocessing internally, so we pass the image directly
@@ -235,7 +264,9 @@ class ModelLoader {
       });
       
       // MobileNet classify method (returns top 3 predictions)
+      onProgress({ stage: 'Classifying the image', progress: 0 });
       const predictions = await model.classify(img);
+      throwIfAborted(signal);
 
       // Process MobileNet predictions
       // MobileNet returns ImageNet classes, so we need to map to cancer risk
@@ -263,22 +294,27 @@ class ModelLoader {
       }
 
       // Perform detailed lesion analysis
-      const lesionAnalysis = await this.analyzeLesionDetails(img);
+      const { segmentation, detections, ...lesionAnalysis } = await this.analyzeLesionDetails(img, {
+        reference,
+        signal,
+        // Classification takes roughly the first quarter of the time
+        onProgress: ({ stage, progress }) => onProgress({ stage, progress: 0.25 + 0.75 * progress })
+      });
       
       // Extract ABCDE patterns based on analysis
-      const patterns = {
-        asymmetry: lesionAnalysis.asymmetryScore > 0.6,
-        border: lesionAnalysis.borderIrregularity > 0.55,
-        color: lesionAnalysis.colorVariation > 0.65,
-        diameter: lesionAnalysis.diameter > 0.5,
-        evolving: false // Cannot determine from single image
-      };
+      const patterns = this.getLesionPatterns(lesionAnalysis);
 
       return {
         cancerPercentage: Math.max(5, Math.min(95, cancerPercentage)),
         confidence: topPrediction.probability,
         patterns,
         lesionDetails: lesionAnalysis,
+        // Every spot found in the photo, main spot first, each with its own ABCDE flags
+        detections: detections.map(detection => ({
+          ...detection,
+          patterns: this.getLesionPatterns(detection.lesionDetails)
+        })),
+        segmentation,
         modelUsed: true,
         modelType: 'MobileNet',
         topPredictions: predictions.map(p => ({
@@ -287,11 +323,29 @@ class ModelLoader {
         }))
       };
     } catch (error) {
-      console.error('❌ MobileNet prediction error:', error);
+      if (error.name !== 'AbortError') {
+        console.error('❌ MobileNet prediction error:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * ABCDE flags for one lesion's details
+   * @param {Object} lesionDetails - Measurements of one lesion (see lesionAnalysis.js)
+   * @returns {Object} { asymmetry, border, color, diameter, evolving }
+   */
+  getLesionPatterns(lesionDetails) {
+    return {
+      asymmetry: lesionDetails.asymmetryScore > 0.6,
+      border: lesionDetails.borderIrregularity > 0.55,
+      color: lesionDetails.colorVariation > 0.65,
+      // Millimetres mean nothing without a reference in the frame
+      diameter: lesionDetails.calibrated ? lesionDetails.diameter > 0.5 : null,
+      evolving: null // Needs earlier scans of the lesion - see applyEvolution()
+    };
+  }
+
   /**
    * Predict using custom model
    * @param {string} imageSrc - Base64 image or image URL
@@ -594,274 +648,198 @@ class ModelLoader {
 
   /**
    * Analyze lesion details using image processing
-   * Calculates size, shape, color, border irregularity, and asymmetry
+   * Segments every lesion in the photo and measures each one (see lesionAnalysis.js).
+   * Runs in a Web Worker where supported, so the page stays responsive.
    * @param {HTMLImageElement} img - Image element
-   * @returns {Promise<Object>} Detailed lesion analysis
+   * @param {Object} [options]
+   * @param {Object} [options.reference] - Reference object in the frame, from REFERENCE_OBJECTS
+   * @param {Function} [options.onProgress] - Called with { stage, progress } (0-1)
+   * @param {AbortSignal} [options.signal] - Cancels the analysis; it then rejects with an AbortError
+   * @returns {Promise<Object>} Detailed lesion analysis of the main spot, plus
+   *   detections ([{ box, lesionDetails }], main spot first) and the segmentation masks (null if no lesion was found)
    */
-  async analyzeLesionDetails(img) {
+  async analyzeLesionDetails(img, { reference = null, onProgress = () => {}, signal = null } = {}) {
     try {
-      // Create canvas for image processing
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      canvas.width = img.width;
-      canvas.height = img.height;
-      ctx.drawImage(img, 0, 0);
-      
-      // Get image data
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const data = imageData.data;
-      
-      // Convert to grayscale and detect lesion region
-      const grayscale = new Uint8Array(canvas.width * canvas.height);
-      const threshold = 128; // Threshold for lesion detection
-      
-      for (let i = 0; i < data.length; i += 4) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-        grayscale[i / 4] = gray;
-      }
-      
-      // Find lesion boundaries (simplified - assumes darker regions are lesions)
-      let minX = canvas.width, maxX = 0, minY = canvas.height, maxY = 0;
-      let lesionPixels = 0;
-      const lesionMask = new Array(canvas.width * canvas.height).fill(false);
-      
-      for (let y = 0; y < canvas.height; y++) {
-        for (let x = 0; x < canvas.width; x++) {
-          const idx = y * canvas.width + x;
-          const gray = grayscale[idx];
-          
-          // Detect darker regions (potential lesions)
-          if (gray < threshold) {
-            lesionMask[idx] = true;
-            lesionPixels++;
-            minX = Math.min(minX, x);
-            maxX = Math.max(maxX, x);
-            minY = Math.min(minY, y);
-            maxY = Math.max(maxY, y);
-          }
-        }
-      }
-      
-      // Calculate size measurements
-      const width = maxX - minX;
-      const height = maxY - minY;
-      const area = lesionPixels;
-      const diameter = Math.sqrt(area / Math.PI) * 2; // Equivalent diameter
-      
-      // Calculate aspect ratio
-      const aspectRatio = width > 0 ? height / width : 1;
-      
-      // Calculate circularity (4π * area / perimeter^2)
-      let perimeter = 0;
-      for (let y = minY; y <= maxY; y++) {
-        for (let x = minX; x <= maxX; x++) {
-          const idx = y * canvas.width + x;
-          if (lesionMask[idx]) {
-            // Check neighbors for border pixels
-            const neighbors = [
-              y > 0 && !lesionMask[(y - 1) * canvas.width + x],
-              y < canvas.height - 1 && !lesionMask[(y + 1) * canvas.width + x],
-              x > 0 && !lesionMask[y * canvas.width + (x - 1)],
-              x < canvas.width - 1 && !lesionMask[y * canvas.width + (x + 1)]
-            ];
-            if (neighbors.some(n => n)) perimeter++;
-          }
-        }
-      }
-      const circularity = perimeter > 0 ? (4 * Math.PI * area) / (perimeter * perimeter) : 0;
-      
-      // Calculate color variation
-      const colors = [];
-      for (let i = 0; i < data.length; i += 4) {
-        const idx = i / 4;
-        if (lesionMask[idx]) {
-          colors.push([data[i], data[i + 1], data[i + 2]]);
-        }
+      throwIfAborted(signal);
+      if (workerSupported()) {
+        return await this.runLesionWorker(img, { task: 'lesions', reference, onProgress, signal });
       }
-      
-      // Calculate color variance
-      let colorVariation = 0;
-      if (colors.length > 0) {
-        const avgR = colors.reduce((sum, c) => sum + c[0], 0) / colors.length;
-        const avgG = colors.reduce((sum, c) => sum + c[1], 0) / colors.length;
-        const avgB = colors.reduce((sum, c) => sum + c[2], 0) / colors.length;
-        
-        const variance = colors.reduce((sum, c) => {
-          const dr = c[0] - avgR;
-          const dg = c[1] - avgG;
-          const db = c[2] - avgB;
-          return sum + (dr * dr + dg * dg + db * db);
-        }, 0) / colors.length;
-        
-        colorVariation = Math.min(1, Math.sqrt(variance) / 255);
+
+      // No worker support: same analysis on the main thread
+      return analyzeLesionPixels(imageDataOf(img), { reference, onProgress });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error('❌ Lesion analysis error:', error);
+      // Return default values on error
+      return { ...emptyLesionDetails(), detections: [], segmentation: null };
+    }
+  }
+
+  /**
+   * Check whether a photo is good enough to analyze (see imageQuality.js)
+   * Runs in the lesion analysis worker where supported, like analyzeLesionDetails.
+   * @param {string} imageSrc - Base64 image or image URL
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the check; it then rejects with an AbortError
+   * @returns {Promise<Object|null>} { passed, scores, issues }, or null if the check itself failed
+   */
+  async checkImageQuality(imageSrc, { signal = null } = {}) {
+    try {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = reject;
+        img.src = imageSrc;
+      });
+      throwIfAborted(signal);
+
+      if (workerSupported()) {
+        return await this.runLesionWorker(img, { task: 'quality', onProgress: () => {}, signal });
       }
-      
-      // Calculate border irregularity (deviation from smooth circle)
-      const centerX = (minX + maxX) / 2;
-      const centerY = (minY + maxY) / 2;
-      const avgRadius = diameter / 2;
-      let borderDeviation = 0;
-      let borderPoints = 0;
-      
-      for (let y = minY; y <= maxY; y++) {
-        for (let x = minX; x <= maxX; x++) {
-          const idx = y * canvas.width + x;
-          if (lesionMask[idx]) {
-            const neighbors = [
-              y > 0 && !lesionMask[(y - 1) * canvas.width + x],
-              y < canvas.height - 1 && !lesionMask[(y + 1) * canvas.width + x],
-              x > 0 && !lesionMask[y * canvas.width + (x - 1)],
-              x < canvas.width - 1 && !lesionMask[y * canvas.width + (x + 1)]
-            ];
-            if (neighbors.some(n => n)) {
-              const dist = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
-              borderDeviation += Math.abs(dist - avgRadius);
-              borderPoints++;
-            }
-          }
-        }
+      return assessImageQuality(imageDataOf(img));
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // A broken check shouldn't stop the analysis itself
+      console.error('❌ Image quality check error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Live capture guidance for the camera's current frame (see imageQuality.js)
+   * @param {HTMLVideoElement} video - Camera stream
+   * @returns {Promise<Object|null>} Result of assessFrame, or null if there is no frame yet or the check failed
+   */
+  async checkFrame(video) {
+    if (!video || video.readyState < 2 || !video.videoWidth) return null;
+
+    try {
+      const scale = Math.min(1, FRAME_SIZE / Math.max(video.videoWidth, video.videoHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      if (workerSupported()) {
+        return await this.runLesionWorker(canvas, { task: 'frame', onProgress: () => {} });
       }
-      const borderIrregularity = borderPoints > 0 ? Math.min(1, borderDeviation / (borderPoints * avgRadius)) : 0;
-      
-      // Calculate asymmetry score (compare left vs right halves)
-      let leftHalfPixels = 0, rightHalfPixels = 0;
-      const centerLineX = (minX + maxX) / 2;
-      
-      for (let y = minY; y <= maxY; y++) {
-        for (let x = minX; x <= maxX; x++) {
-          const idx = y * canvas.width + x;
-          if (lesionMask[idx]) {
-            if (x < centerLineX) leftHalfPixels++;
-            else rightHalfPixels++;
-          }
-        }
+      return assessFrame(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    } catch (error) {
+      // Cancelled when an analysis stopped the worker; the next frame starts it again
+      if (error.name !== 'AbortError') {
+        console.error('❌ Frame check error:', error);
       }
-      
-      const totalPixels = leftHalfPixels + rightHalfPixels;
-      const asymmetryScore = totalPixels > 0 
-        ? Math.abs(leftHalfPixels - rightHalfPixels) / totalPixels 
-        : 0;
-      
-      // Estimate size in mm (assuming average phone camera: ~1mm per 10 pixels at close range)
-      const pixelsPerMM = 10; // Approximate conversion
-      const widthMM = width / pixelsPerMM;
-      const heightMM = height / pixelsPerMM;
-      const diameterMM = diameter / pixelsPerMM;
-      
-      return {
-        // Size measurements
-        width: Math.round(width),
-        height: Math.round(height),
-        area: Math.round(area),
-        diameter: Math.round(diameter),
-        widthMM: Math.round(widthMM * 10) / 10,
-        heightMM: Math.round(heightMM * 10) / 10,
-        diameterMM: Math.round(diameterMM * 10) / 10,
-        
-        // Shape analysis
-        aspectRatio: Math.round(aspectRatio * 100) / 100,
-        circularity: Math.round(circularity * 100) / 100,
-        shape: aspectRatio > 0.8 && aspectRatio < 1.2 && circularity > 0.7 
-          ? 'Round' 
-          : aspectRatio > 1.5 || aspectRatio < 0.67 
-            ? 'Irregular' 
-            : 'Oval',
-        
-        // Color analysis
-        colorVariation: Math.round(colorVariation * 100) / 100,
-        dominantColors: this.extractDominantColors(colors),
-        
-        // Border analysis
-        borderIrregularity: Math.round(borderIrregularity * 100) / 100,
-        borderSmoothness: Math.round((1 - borderIrregularity) * 100) / 100,
-        
-        // Asymmetry
-        asymmetryScore: Math.round(asymmetryScore * 100) / 100,
-        
-        // ABCDE scores (0-1 scale)
-        asymmetry: asymmetryScore,
-        border: borderIrregularity,
-        color: colorVariation,
-        diameter: Math.min(1, diameterMM / 6), // 6mm is concerning threshold
-        evolving: 0 // Cannot determine from single image
+      return null;
+    }
+  }
+
+  /**
+   * Run a pixel analysis in the lesion analysis worker
+   * The image is sent as a transferred ImageBitmap, so nothing is copied.
+   * @param {HTMLImageElement|HTMLCanvasElement} img - Image element, or a canvas holding a video frame
+   * @param {Object} options - { task, reference, onProgress, signal }; task is 'lesions'
+   *   (analyzeLesionPixels), 'quality' (assessImageQuality) or 'frame' (assessFrame)
+   * @returns {Promise<Object>} Result of the task
+   */
+  async runLesionWorker(img, { task, reference = null, onProgress, signal }) {
+    const bitmap = await createImageBitmap(img);
+    throwIfAborted(signal);
+
+    if (!this.lesionWorker) {
+      this.lesionWorker = new Worker(new URL('./lesionAnalysis.worker.js', import.meta.url));
+      this.lesionWorker.onmessage = ({ data }) => this.handleLesionWorkerMessage(data);
+      this.lesionWorker.onerror = (event) => {
+        this.stopLesionWorker(new Error(event.message || 'Lesion analysis worker failed'));
       };
-    } catch (error) {
-      console.error('❌ Lesion analysis error:', error);
-      // Return default values on error
-      return {
-        width: 0,
-        height: 0,
-        area: 0,
-        diameter: 0,
-        widthMM: 0,
-        heightMM: 0,
-        diameterMM: 0,
-        aspectRatio: 1,
-        circularity: 1,
-        shape: 'Unknown',
-        colorVariation: 0,
-        dominantColors: [],
-        borderIrregularity: 0,
-        borderSmoothness: 1,
-        asymmetryScore: 0,
-        asymmetry: 0,
-        border: 0,
-        color: 0,
-        diameter: 0,
-        evolving: 0
+    }
+
+    const id = this.nextLesionJobId++;
+    return new Promise((resolve, reject) => {
+      // A busy worker can't be interrupted mid-loop, so cancelling stops it outright
+      const abort = () => this.stopLesionWorker(cancelled());
+      const done = () => {
+        if (signal) signal.removeEventListener('abort', abort);
       };
+      this.lesionJobs.set(id, { resolve, reject, onProgress, done });
+      if (signal) signal.addEventListener('abort', abort, { once: true });
+      this.lesionWorker.postMessage({ id, task, bitmap, reference }, [bitmap]);
+    });
+  }
+
+  /**
+   * Route a message from the lesion analysis worker to its job
+   * @param {Object} message - { id, type: 'progress' | 'result' | 'error', ... }
+   */
+  handleLesionWorkerMessage({ id, type, ...message }) {
+    const job = this.lesionJobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      job.onProgress({ stage: message.stage, progress: message.progress });
+      return;
+    }
+    this.lesionJobs.delete(id);
+    job.done();
+    if (type === 'result') {
+      job.resolve(message.result);
+    } else {
+      job.reject(new Error(message.message));
     }
   }
 
   /**
-   * Extract dominant colors from lesion region
-   * @param {Array<Array<number>>} colors - Array of RGB color values
-   * @returns {Array<Object>} Dominant colors with percentages
+   * Terminate the lesion analysis worker, rejecting any jobs still running
+   * @param {Error} reason - Rejection for the pending jobs
    */
-  extractDominantColors(colors) {
-    if (colors.length === 0) return [];
-    
-    // Simple k-means clustering for color extraction (simplified)
-    const colorGroups = {};
-    const groupSize = 32; // Quantize colors
-    
-    colors.forEach(color => {
-      const r = Math.floor(color[0] / groupSize) * groupSize;
-      const g = Math.floor(color[1] / groupSize) * groupSize;
-      const b = Math.floor(color[2] / groupSize) * groupSize;
-      const key = `${r},${g},${b}`;
-      
-      if (!colorGroups[key]) {
-        colorGroups[key] = { color: [r, g, b], count: 0 };
-      }
-      colorGroups[key].count++;
+  stopLesionWorker(reason) {
+    if (this.lesionWorker) {
+      this.lesionWorker.terminate();
+      this.lesionWorker = null;
+    }
+    this.lesionJobs.forEach(job => {
+      job.done();
+      job.reject(reason);
     });
-    
-    // Sort by frequency and return top 3
-    return Object.values(colorGroups)
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 3)
-      .map(group => ({
-        rgb: group.color,
-        hex: `#${group.color[0].toString(16).padStart(2, '0')}${group.color[1].toString(16).padStart(2, '0')}${group.color[2].toString(16).padStart(2, '0')}`,
-        percentage: Math.round((group.count / colors.length) * 100)
-      }));
+    this.lesionJobs.clear();
+  }
+
+  /**
+   * Score the Evolving criterion against earlier scans of the same lesion.
+   * Without history (or lesion measurements) E stays unknown: patterns.evolving is null.
+   * @param {Object} cancerResults - Result of predictCancer(), updated in place
+   * @param {Array<Object>} history - Earlier { uploadedAt, lesionDetails } of the lesion
+   */
+  applyEvolution(cancerResults, history) {
+    if (!cancerResults.lesionDetails) return;
+
+    const evolution = assessEvolution(cancerResults.lesionDetails, history);
+    cancerResults.lesionDetails.evolving = evolution ? evolution.score : 0;
+    cancerResults.patterns.evolving = evolution ? evolution.evolving : null;
+    if (evolution) {
+      cancerResults.evolution = evolution;
+    }
   }
 
   /**
    * Analyze image for both cancer and infection
    * @param {string} imageSrc - Base64 image or image URL
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.history] - Earlier { uploadedAt, lesionDetails } of the same lesion
+   * @param {Object} [options.reference] - Reference object in the frame, from REFERENCE_OBJECTS
+   * @param {Function} [options.onProgress] - Called with { stage, progress } (0-1) as the analysis advances
+   * @param {AbortSignal} [options.signal] - Cancels the analysis; it then rejects with an AbortError
    * @returns {Promise<Object>} Combined analysis results
    */
-  async analyzeImage(imageSrc) {
+  async analyzeImage(imageSrc, { history = [], reference = null, onProgress, signal = null } = {}) {
     try {
       const [cancerResults, infectionResults] = await Promise.all([
-        this.predictCancer(imageSrc),
+        this.predictCancer(imageSrc, { reference, onProgress, signal }),
         this.predictInfection(imageSrc)
       ]);
+      throwIfAborted(signal);
+      this.applyEvolution(cancerResults, history);
 
       return {
         cancer: cancerResults,
@@ -869,15 +847,18 @@ class ModelLoader {
         analyzedAt: new Date().toISOString()
       };
     } catch (error) {
-      console.error('❌ Analysis error:', error);
+      if (error.name !== 'AbortError') {
+        console.error('❌ Analysis error:', error);
+      }
       throw error;
     }
   }
 
   /**
-   * Dispose models to free memory
+   * Dispose models and the lesion analysis worker to free memory
    */
   dispose() {
+    this.stopLesionWorker(cancelled());
     if (this.models.cancer) {
       this.models.cancer.dispose();
       this.models.cancer = null;
@@ -0,0 +1,159 @@
+/**
+ * Reference object detection for physical size calibration
+ *
+ * A photo alone has no scale, so millimetre measurements need something of
+ * known size in the frame: a coin, or the printable calibration sticker
+ * (public/calibration-sticker.svg - a black 20 mm square with a white 10 mm
+ * square in the middle, which tells it apart from a dark mole).
+ *
+ * The reference should sit beside the spot, not in the middle of the frame,
+ * so shapes covering the image centre are ignored.
+ */
+
+import { connectedComponents } from './lesionSegmentation';
+
+export const REFERENCE_OBJECTS = [
+  { id: 'sticker', label: 'SkinGuard calibration sticker', shape: 'marker', sizeMM: 20 },
+  { id: 'us-quarter', label: 'US quarter', shape: 'circle', sizeMM: 24.26 },
+  { id: 'us-penny', label: 'US penny', shape: 'circle', sizeMM: 19.05 },
+  { id: 'euro-1', label: '1 euro coin', shape: 'circle', sizeMM: 23.25 },
+  { id: 'euro-2', label: '2 euro coin', shape: 'circle', sizeMM: 25.75 },
+  { id: 'uk-pound', label: 'UK £1 coin', shape: 'circle', sizeMM: 23.43 }
+];
+
+export const findReferenceObject = (id) => REFERENCE_OBJECTS.find(r => r.id === id) || null;
+
+// Work on a downscaled copy; references are large enough to survive it
+const WORKING_SIZE = 400;
+// Smallest reference we trust, as a fraction of the shorter image side
+const MIN_SIZE_FRACTION = 0.04;
+// Candidates scoring below this are not accepted as the reference
+const MIN_CONFIDENCE = 0.6;
+// RGB distance from the skin colour at which a pixel counts as part of a coin.
+// Coins can be as bright as skin, so hue matters as much as brightness.
+const COIN_COLOR_DISTANCE = 40;
+
+const closeness = (value, target, tolerance) => Math.max(0, 1 - Math.abs(value - target) / tolerance);
+
+// Pixels at working size: { rgb, gray, width, height, scale } where scale maps back to the original
+const downscale = ({ data, width, height }) => {
+  const scale = Math.max(1, Math.max(width, height) / WORKING_SIZE);
+  const w = Math.floor(width / scale);
+  const h = Math.floor(height / scale);
+  const rgb = [new Float32Array(w * h), new Float32Array(w * h), new Float32Array(w * h)];
+  const gray = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (Math.floor(y * scale) * width + Math.floor(x * scale)) * 4;
+      const idx = y * w + x;
+      rgb[0][idx] = data[i];
+      rgb[1][idx] = data[i + 1];
+      rgb[2][idx] = data[i + 2];
+      gray[idx] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+  return { rgb, gray, width: w, height: h, scale };
+};
+
+const median = (values) => {
+  const histogram = new Array(256).fill(0);
+  values.forEach(v => { histogram[Math.min(255, Math.round(v))]++; });
+  let count = 0;
+  for (let level = 0; level < 256; level++) {
+    count += histogram[level];
+    if (count >= values.length / 2) return level;
+  }
+  return 128;
+};
+
+// How well a component matches a coin: round outline, ~pi/4 of its box filled
+const circleScore = (component, boxWidth, boxHeight) => {
+  const fill = component.pixels.length / (boxWidth * boxHeight);
+  const aspect = boxWidth / boxHeight;
+  return Math.min(closeness(fill, Math.PI / 4, 0.15), closeness(aspect, 1, 0.25));
+};
+
+// How well a component matches the sticker: a filled square ring around a light centre
+const markerScore = (component, boxWidth, boxHeight, mask, width) => {
+  const aspect = boxWidth / boxHeight;
+  // The white centre is half the side, so the dark ring covers 3/4 of the box
+  const ringFill = component.pixels.length / (boxWidth * boxHeight);
+
+  let centreLight = 0;
+  let centreTotal = 0;
+  const x0 = component.minX + Math.round(boxWidth * 0.3);
+  const x1 = component.maxX - Math.round(boxWidth * 0.3);
+  const y0 = component.minY + Math.round(boxHeight * 0.3);
+  const y1 = component.maxY - Math.round(boxHeight * 0.3);
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      centreTotal++;
+      if (!mask[y * width + x]) centreLight++;
+    }
+  }
+  const centre = centreTotal > 0 ? centreLight / centreTotal : 0;
+
+  return Math.min(closeness(ringFill, 0.75, 0.2), closeness(aspect, 1, 0.2), closeness(centre, 1, 0.4));
+};
+
+/**
+ * Find a reference object in an image and derive its scale
+ * @param {ImageData} imageData - Full-resolution image pixels
+ * @param {Object} reference - Entry from REFERENCE_OBJECTS
+ * @returns {Object|null} { referenceId, sizeMM, pixelSize, pixelsPerMM, confidence, box }, or null if not found
+ */
+export const detectReference = (imageData, reference) => {
+  if (!reference) return null;
+
+  const { rgb, gray, width, height, scale } = downscale(imageData);
+  // The reference is small next to the skin around it, so the median is the skin
+  const background = median(gray);
+  const skin = rgb.map(median);
+
+  // The sticker is printed black; coins only need to stand out from the skin
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    mask[i] = reference.shape === 'marker'
+      ? gray[i] < background * 0.45
+      : Math.hypot(rgb[0][i] - skin[0], rgb[1][i] - skin[1], rgb[2][i] - skin[2]) > COIN_COLOR_DISTANCE;
+  }
+
+  const minSide = Math.min(width, height) * MIN_SIZE_FRACTION;
+  const centreX = width / 2;
+  const centreY = height / 2;
+
+  let best = null;
+  connectedComponents(mask, width, height).forEach(component => {
+    const boxWidth = component.maxX - component.minX + 1;
+    const boxHeight = component.maxY - component.minY + 1;
+    if (component.touchesEdge || Math.min(boxWidth, boxHeight) < minSide) return;
+    // Whatever covers the centre is taken to be the spot itself
+    if (component.minX <= centreX && component.maxX >= centreX &&
+        component.minY <= centreY && component.maxY >= centreY) return;
+
+    const confidence = reference.shape === 'marker'
+      ? markerScore(component, boxWidth, boxHeight, mask, width)
+      : circleScore(component, boxWidth, boxHeight);
+    if (confidence >= MIN_CONFIDENCE && (!best || confidence > best.confidence)) {
+      best = { component, boxWidth, boxHeight, confidence };
+    }
+  });
+
+  if (!best) return null;
+
+  const pixelSize = ((best.boxWidth + best.boxHeight) / 2) * scale;
+  return {
+    referenceId: reference.id,
+    sizeMM: reference.sizeMM,
+    pixelSize: Math.round(pixelSize * 10) / 10,
+    pixelsPerMM: Math.round((pixelSize / reference.sizeMM) * 100) / 100,
+    confidence: Math.round(best.confidence * 100) / 100,
+    // In original image pixels, so the reference can be kept out of the lesion mask
+    box: {
+      x: Math.floor(best.component.minX * scale),
+      y: Math.floor(best.component.minY * scale),
+      width: Math.ceil(best.boxWidth * scale),
+      height: Math.ceil(best.boxHeight * scale)
+    }
+  };
+};
@@ -1,62 +1,355 @@
 const { Web3 } = require('web3');
-const fs = require('fs');
-const path = require('path');
+const { isEnvelope } = require('./services/envelopeEncryption');
+const { EVENTS, fingerprint, sha256 } = require('./services/auditLedger');
+const { LEDGER_ANCHOR_ABI } = require('./contracts/ledgerAnchor');
+require('dotenv').config();
 
-// Blockchain integration for data encryption
+// Scan record fields that are only ever stored encrypted
+const SEALED_IMAGE_FIELDS = ['cloudinaryUrl', 'notes', 'analysis'];
+
+// Optional EVM anchoring of the ledger's daily Merkle roots
+// (any JSON-RPC endpoint works, including a local Anvil/Ganache chain)
+const anchorConfigFromEnv = () => {
+  if (!process.env.ANCHOR_RPC_URL) return null;
+  return {
+    rpcUrl: process.env.ANCHOR_RPC_URL,
+    contractAddress: process.env.ANCHOR_CONTRACT_ADDRESS,
+    privateKey: process.env.ANCHOR_PRIVATE_KEY
+  };
+};
+
+const toBytes32 = (hex) => `0x${hex}`;
+
+// Blockchain integration: encryption at rest, a tamper-evident audit ledger,
+// and publication of the ledger's roots to a smart contract
 class BlockchainStorage {
-  constructor() {
-    // In production, connect to a real blockchain network
+  constructor({ db, encryption, ledger, files, anchor = anchorConfigFromEnv() }) {
+    this.db = db;
+    this.encryption = encryption;
+    this.ledger = ledger;
+    this.files = files;
+    this.anchorConfig = anchor;
     this.web3 = null;
     this.contract = null;
-    this.initializeBlockchain();
+    this.account = null;
+    this.chainId = null;
+    this.ready = this.initializeBlockchain();
   }
 
+  // Resolves to true once connected to the anchoring contract
   async initializeBlockchain() {
+    if (!this.anchorConfig) {
+      console.log('ℹ️ Ledger anchoring disabled (set ANCHOR_RPC_URL to publish roots on-chain)');
+      return false;
+    }
+
     try {
-      // For demo purposes, we'll simulate blockchain encryption
-      // In production, connect to Ethereum, Polygon, or another blockchain
-      console.log('Blockchain storage initialized (simulated)');
+      const { rpcUrl, contractAddress, privateKey } = this.anchorConfig;
+      if (!contractAddress || !privateKey) {
+        throw new Error('ANCHOR_CONTRACT_ADDRESS and ANCHOR_PRIVATE_KEY are required for anchoring');
+      }
+
+      const web3 = new Web3(rpcUrl);
+      const account = web3.eth.accounts.privateKeyToAccount(
+        privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`
+      );
+      web3.eth.accounts.wallet.add(account);
+
+      const [chainId, code] = await Promise.all([
+        web3.eth.getChainId(),
+        web3.eth.getCode(contractAddress)
+      ]);
+      if (!code || code === '0x') {
+        throw new Error(`No contract deployed at ${contractAddress}`);
+      }
+
+      this.web3 = web3;
+      this.account = account;
+      this.chainId = Number(chainId);
+      this.contract = new web3.eth.Contract(LEDGER_ANCHOR_ABI, contractAddress);
+      console.log(`⛓️  Anchoring ledger roots to ${contractAddress} on chain ${this.chainId}`);
+      return true;
     } catch (error) {
-      console.error('Blockchain initialization error:', error);
+      console.error('Blockchain initialization error:', error.message);
+      return false;
+    }
+  }
+
+  // Publish every sealed day root that isn't confirmed on-chain yet.
+  // Failures are recorded on the root and retried on the next run.
+  async anchorPendingRoots() {
+    // Retry a failed connection here rather than on every verification request
+    if (!(await this.ready) && this.anchorConfig) {
+      this.ready = this.initializeBlockchain();
     }
+    if (!(await this.ready)) return [];
+
+    const pending = this.db.ledgerRoots.filter(root => !root.anchor || root.anchor.status !== 'confirmed');
+    const anchored = [];
+    for (const root of pending) {
+      try {
+        const receipt = await this.publishRoot(root);
+        this.recordAnchor(root, receipt);
+        anchored.push(root);
+      } catch (error) {
+        console.error(`❌ Anchoring ledger day ${root.day} failed:`, error.message);
+        this.db.ledgerRoots.update(root.id, {
+          anchor: { status: 'failed', error: error.message, attemptedAt: new Date().toISOString() }
+        });
+      }
+    }
+    return anchored;
+  }
+
+  async publishRoot(root) {
+    const rootHex = toBytes32(root.root);
+
+    // A previous run may have sent the transaction and then stopped before
+    // recording it - recover the original transaction instead of failing
+    const anchoredAt = await this.contract.methods.anchoredAt(rootHex).call();
+    if (BigInt(anchoredAt) > 0n) {
+      const [event] = await this.contract.getPastEvents('RootAnchored', {
+        filter: { root: rootHex },
+        fromBlock: 0
+      });
+      if (!event) {
+        throw new Error('Root is anchored but its transaction could not be found');
+      }
+      return event;
+    }
+
+    return this.contract.methods.anchor(rootHex, root.day).send({ from: this.account.address });
   }
 
-  // Encrypt data using blockchain-based encryption
-  async encryptData(data, userId) {
-    // Simulate blockchain encryption
-    // In production, use smart contracts to store encrypted hashes
-    const encryptedHash = this.generateHash(data, userId);
+  // Store the transaction on the root and on every scan ledgered that day
+  recordAnchor(root, { transactionHash, blockNumber }) {
+    const anchor = {
+      status: 'confirmed',
+      chainId: this.chainId,
+      contractAddress: this.contract.options.address,
+      transactionHash,
+      blockNumber: Number(blockNumber),
+      anchoredAt: new Date().toISOString()
+    };
+    this.db.ledgerRoots.update(root.id, { anchor });
+
+    const imageIds = new Set(
+      this.db.ledgerEntries
+        .filter(e => e.day === root.day && e.type.startsWith('image.'))
+        .map(e => e.subjectId)
+    );
+    imageIds.forEach(imageId => {
+      this.db.images.update(imageId, {
+        blockchainTransactionHash: transactionHash,
+        blockchainBlockNumber: anchor.blockNumber
+      });
+    });
+
+    console.log(`⛓️  Anchored ledger day ${root.day} in tx ${transactionHash} (block ${anchor.blockNumber})`);
+  }
+
+  // Ask the contract whether a root is anchored; null when anchoring is off
+  async isAnchoredOnChain(rootHex) {
+    if (!(await this.ready)) return null;
+    try {
+      return BigInt(await this.contract.methods.anchoredAt(toBytes32(rootHex)).call()) > 0n;
+    } catch (error) {
+      console.warn('⚠️ Could not read anchor from chain:', error.message);
+      return null;
+    }
+  }
+
+  // Encrypt a value with the user's data key (AES-256-GCM envelope).
+  // `context` is authenticated with the ciphertext and must match on decrypt.
+  encryptData(data, userId, context = userId) {
+    return this.encryption.encrypt(userId, data, context);
+  }
+
+  decryptData(envelope, userId, context = userId) {
+    return this.encryption.decrypt(userId, envelope, context);
+  }
+
+  imageContext(image, field) {
+    return `${image.userId}:${image.id}:${field}`;
+  }
+
+  // Encrypt the given fields of a scan record in place. The record needs its
+  // id and userId set, as both are bound into every ciphertext.
+  sealImage(image, fields = SEALED_IMAGE_FIELDS) {
+    fields.forEach(field => {
+      const value = image[field];
+      if (value === undefined || isEnvelope(value)) return;
+      image[field] = this.encryptData(value, image.userId, this.imageContext(image, field));
+    });
+    return image;
+  }
+
+  // Decrypted copy of a scan record - the stored record is left untouched
+  openImage(image) {
+    const opened = { ...image };
+    SEALED_IMAGE_FIELDS.forEach(field => {
+      if (isEnvelope(image[field])) {
+        opened[field] = this.decryptData(image[field], image.userId, this.imageContext(image, field));
+      }
+    });
+    return opened;
+  }
+
+  // Encrypt scans stored before encryption existed
+  sealPlaintextImages() {
+    const plaintext = this.db.images.filter(image =>
+      SEALED_IMAGE_FIELDS.some(field => image[field] !== undefined && !isEnvelope(image[field]))
+    );
+    plaintext.forEach(image => this.db.images.save(this.sealImage(image)));
+    return plaintext.length;
+  }
+
+  // Re-encrypt all of a user's scans and their image files under a fresh data
+  // key, then delete the old key. If anything fails the old key is kept, so
+  // every scan stays readable and the rotation can simply be run again.
+  async rotateUserKey(userId) {
+    const { previous } = this.encryption.rotateDataKey(userId);
+    const userImages = this.db.images.filter(image => image.userId === userId);
+
+    for (const image of userImages) {
+      Object.assign(image, this.openImage(image));
+      this.db.images.save(this.sealImage(image));
+      await this.files.reencrypt(image, updated => this.db.images.save(updated));
+    }
+    previous.forEach(key => this.encryption.dropDataKey(key.id));
+    return userImages.length;
+  }
+
+  // Content hashes of a plaintext scan record, as written to the ledger.
+  // The image itself is covered by the hash of its file, or for scans from
+  // before storage backends, by cloudinaryUrl (the data URL or remote URL).
+  imageFingerprint(image) {
+    return fingerprint({
+      id: image.id,
+      userId: image.userId,
+      filename: image.filename,
+      fileHash: image.file ? image.file.sha256 : undefined,
+      cloudinaryUrl: image.cloudinaryUrl,
+      notes: image.notes,
+      uploadedAt: image.uploadedAt
+    });
+  }
+
+  analysisFingerprint(image) {
+    return fingerprint({ imageId: image.id, analysis: image.analysis });
+  }
+
+  // Ledger a scan's details (plaintext record) and stamp it with the entry hash
+  stampImage(image, type) {
+    const entry = this.ledger.append({
+      type,
+      userId: image.userId,
+      subjectId: image.id,
+      contentHash: this.imageFingerprint(image)
+    });
+    image.blockchainHash = entry.hash;
+    image.blockchainTimestamp = entry.timestamp;
+    return entry;
+  }
+
+  recordUpload(image) {
+    return this.stampImage(image, EVENTS.IMAGE_UPLOADED);
+  }
+
+  // Edited notes or dates are ledgered too, so verification checks the scan as it is now
+  recordUpdate(image) {
+    return this.stampImage(image, EVENTS.IMAGE_UPDATED);
+  }
+
+  // Permanent removal of a scan; the record itself is gone afterwards
+  recordDeletion(image) {
+    return this.ledger.append({
+      type: EVENTS.IMAGE_DELETED,
+      userId: image.userId,
+      subjectId: image.id,
+      contentHash: this.imageFingerprint(image)
+    });
+  }
+
+  recordAnalysis(image) {
+    return this.ledger.append({
+      type: EVENTS.IMAGE_ANALYZED,
+      userId: image.userId,
+      subjectId: image.id,
+      contentHash: this.analysisFingerprint(image)
+    });
+  }
+
+  recordReport(userId, pdfBuffer) {
+    return this.ledger.append({
+      type: EVENTS.REPORT_GENERATED,
+      userId,
+      subjectId: userId,
+      contentHash: sha256(pdfBuffer)
+    });
+  }
+
+  // Chain + Merkle checks for one ledger entry, plus the on-chain anchor if any
+  async verifyEntry(entry) {
+    const chain = this.ledger.verifyChain(entry.seq);
+    const merkle = this.ledger.proveEntry(entry);
+    if (merkle.anchor) {
+      merkle.anchor = { ...merkle.anchor, onChain: await this.isAnchoredOnChain(merkle.root) };
+    }
     return {
-      hash: encryptedHash,
-      timestamp: new Date().toISOString(),
-      blockNumber: Math.floor(Math.random() * 1000000) // Simulated
+      chainIntact: chain.intact,
+      includedInRoot: merkle.valid,
+      entry: { seq: entry.seq, type: entry.type, hash: entry.hash, timestamp: entry.timestamp },
+      merkle
     };
   }
 
-  generateHash(data, userId) {
-    // Simple hash generation (in production, use proper cryptographic hashing)
-    const crypto = require('crypto');
-    const hash = crypto.createHash('sha256');
-    hash.update(JSON.stringify(data) + userId);
-    return hash.digest('hex');
+  // Prove a scan (and its analysis, if any) is unchanged since it was ledgered
+  async verifyImage(storedImage) {
+    const image = this.openImage(storedImage);
+    const uploaded = this.ledger.latestFor(image.id, [EVENTS.IMAGE_UPLOADED, EVENTS.IMAGE_UPDATED]);
+    const analyzed = this.ledger.latestFor(image.id, [EVENTS.IMAGE_ANALYZED]);
+
+    const check = async (entry, contentHash) => entry
+      ? { contentMatches: entry.contentHash === contentHash, ...(await this.verifyEntry(entry)) }
+      : null;
+
+    const result = {
+      image: await check(uploaded, this.imageFingerprint(image)),
+      analysis: image.analysis ? await check(analyzed, this.analysisFingerprint(image)) : null
+    };
+    const passed = (c) => Boolean(c && c.contentMatches && c.chainIntact && c.includedInRoot);
+
+    return {
+      verified: passed(result.image) && (!image.analysis || passed(result.analysis)),
+      ...result
+    };
   }
 
-  // Store encrypted metadata on blockchain
-  async storeOnBlockchain(encryptedData) {
-    // In production, this would interact with a smart contract
+  // Prove a PDF report is byte-for-byte one we generated for this user
+  async verifyReport(userId, pdfBuffer) {
+    const contentHash = sha256(pdfBuffer);
+    const entry = this.ledger.findByContentHash(contentHash, e =>
+      e.type === EVENTS.REPORT_GENERATED && e.userId === userId
+    );
+    if (!entry) {
+      return { verified: false, contentHash, report: null };
+    }
+
+    const report = { contentMatches: true, ...(await this.verifyEntry(entry)) };
     return {
-      transactionHash: '0x' + this.generateHash(encryptedData).substring(0, 64),
-      blockNumber: Math.floor(Math.random() * 1000000),
-      status: 'confirmed'
+      verified: report.chainIntact && report.includedInRoot,
+      contentHash,
+      report
     };
   }
 
-  // Verify data integrity
-  async verifyData(data, storedHash) {
-    const currentHash = this.generateHash(data);
-    return currentHash === storedHash;
+  // Verify data integrity against a stored fingerprint
+  verifyData(data, storedHash) {
+    return fingerprint(data) === storedHash;
   }
 }
 
-module.exports = new BlockchainStorage();
+const createBlockchainStorage = (options) => new BlockchainStorage(options);
 
+module.exports = { BlockchainStorage, createBlockchainStorage, SEALED_IMAGE_FIELDS };
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Master keys that wrap the per-user data keys.
+//
+// ENCRYPTION_KEYS is a comma-separated list of `<keyId>:<base64 32-byte key>`.
+// The first entry is the active key used for new wrapping; the others are
+// only kept so data keys wrapped by them can still be opened (and rewrapped
+// at startup). Rotate by putting a new key first, restarting, and dropping
+// the old one once `npm run rotate-keys` has been run.
+//
+// Without ENCRYPTION_KEYS, development servers generate a key once and keep
+// it next to the datastore so encrypted records survive restarts.
+const DEFAULT_KEY_FILE = path.join(__dirname, '..', '..', 'data', 'master.key');
+
+const parseKey = (entry) => {
+  const separator = entry.indexOf(':');
+  if (separator === -1) {
+    throw new Error('ENCRYPTION_KEYS entries must look like <keyId>:<base64 key>');
+  }
+  const id = entry.slice(0, separator).trim();
+  const key = Buffer.from(entry.slice(separator + 1).trim(), 'base64');
+  if (!id || key.length !== 32) {
+    throw new Error(`Encryption key "${id}" must be 32 bytes encoded as base64`);
+  }
+  return { id, key };
+};
+
+const loadDevelopmentKey = () => {
+  if (process.env.DB_DRIVER === 'memory') {
+    return { id: 'ephemeral', key: crypto.randomBytes(32) };
+  }
+
+  const keyFile = process.env.ENCRYPTION_KEY_FILE ||
+    (process.env.DATA_FILE ? path.join(path.dirname(process.env.DATA_FILE), 'master.key') : DEFAULT_KEY_FILE);
+
+  if (!fs.existsSync(keyFile)) {
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, `dev:${crypto.randomBytes(32).toString('base64')}\n`, { mode: 0o600 });
+    console.warn(`⚠️ ENCRYPTION_KEYS not set - generated a development master key in ${keyFile}`);
+  }
+  return parseKey(fs.readFileSync(keyFile, 'utf8').trim());
+};
+
+const loadMasterKeys = () => {
+  if (process.env.ENCRYPTION_KEYS) {
+    return process.env.ENCRYPTION_KEYS.split(',').filter(entry => entry.trim()).map(parseKey);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_KEYS must be set in production');
+  }
+  return [loadDevelopmentKey()];
+};
+
+module.exports = { loadMasterKeys };
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// Public timestamps for the audit ledger's daily Merkle roots.
+/// Only the deploying account (the server's anchoring key) can anchor, and a
+/// root can only be anchored once, so its first timestamp can't be replaced.
+contract LedgerAnchor {
+    address public immutable owner;
+    mapping(bytes32 => uint256) public anchoredAt;
+
+    event RootAnchored(bytes32 indexed root, string day, uint256 timestamp);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function anchor(bytes32 root, string calldata day) external {
+        require(msg.sender == owner, "LedgerAnchor: not owner");
+        require(anchoredAt[root] == 0, "LedgerAnchor: already anchored");
+        anchoredAt[root] = block.timestamp;
+        emit RootAnchored(root, day, block.timestamp);
+    }
+}
@@ -0,0 +1,41 @@
+// ABI for LedgerAnchor.sol. Deploy the contract with any toolchain, e.g.
+//   forge create server/contracts/LedgerAnchor.sol:LedgerAnchor --rpc-url $ANCHOR_RPC_URL --private-key $ANCHOR_PRIVATE_KEY
+// and point ANCHOR_CONTRACT_ADDRESS at the deployed address.
+const LEDGER_ANCHOR_ABI = [
+  {
+    type: 'function',
+    name: 'anchor',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'root', type: 'bytes32' },
+      { name: 'day', type: 'string' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'function',
+    name: 'anchoredAt',
+    stateMutability: 'view',
+    inputs: [{ name: '', type: 'bytes32' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  },
+  {
+    type: 'function',
+    name: 'owner',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: '', type: 'address' }]
+  },
+  {
+    type: 'event',
+    name: 'RootAnchored',
+    anonymous: false,
+    inputs: [
+      { name: 'root', type: 'bytes32', indexed: true },
+      { name: 'day', type: 'string', indexed: false },
+      { name: 'timestamp', type: 'uint256', indexed: false }
+    ]
+  }
+];
+
+module.exports = { LEDGER_ANCHOR_ABI };
@@ -0,0 +1,75 @@
+const { v4: uuidv4 } = require('uuid');
+
+// A named list of records inside the datastore.
+// Lookups return the stored objects themselves, so routes can mutate a record
+// in place and then call save(record) to persist it.
+class Collection {
+  constructor(records, persist) {
+    this.records = records;
+    this.persist = persist;
+  }
+
+  all() {
+    return this.records;
+  }
+
+  count() {
+    return this.records.length;
+  }
+
+  find(predicate) {
+    return this.records.find(predicate);
+  }
+
+  filter(predicate) {
+    return this.records.filter(predicate);
+  }
+
+  findById(id) {
+    return this.records.find(record => record.id === id);
+  }
+
+  insert(record) {
+    const stored = { ...record, id: record.id || uuidv4() };
+    this.records.push(stored);
+    this.persist();
+    return stored;
+  }
+
+  update(id, changes) {
+    const record = this.findById(id);
+    if (!record) return null;
+    Object.assign(record, changes);
+    this.persist();
+    return record;
+  }
+
+  // Persist a record that was mutated in place
+  save(record) {
+    if (!this.records.includes(record)) {
+      throw new Error(`Cannot save record ${record && record.id}: not in this collection`);
+    }
+    this.persist();
+    return record;
+  }
+
+  remove(id) {
+    const index = this.records.findIndex(record => record.id === id);
+    if (index === -1) return false;
+    this.records.splice(index, 1);
+    this.persist();
+    return true;
+  }
+
+  removeWhere(predicate) {
+    const kept = this.records.filter(record => !predicate(record));
+    const removed = this.records.length - kept.length;
+    if (removed > 0) {
+      this.records.splice(0, this.records.length, ...kept);
+      this.persist();
+    }
+    return removed;
+  }
+}
+
+module.exports = Collection;
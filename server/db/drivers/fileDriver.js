@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Persists the whole datastore as a single JSON file.
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated database behind.
+const createFileDriver = (filePath) => {
+  const resolvedPath = path.resolve(filePath);
+
+  return {
+    name: 'file',
+
+    load() {
+      if (!fs.existsSync(resolvedPath)) {
+        return {};
+      }
+      const raw = fs.readFileSync(resolvedPath, 'utf8');
+      return raw.trim() ? JSON.parse(raw) : {};
+    },
+
+    save(data) {
+      const dir = path.dirname(resolvedPath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      const tempPath = `${resolvedPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, resolvedPath);
+    }
+  };
+};
+
+module.exports = createFileDriver;
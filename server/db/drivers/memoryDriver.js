@@ -0,0 +1,19 @@
+// Throwaway driver that keeps everything in process memory.
+// Useful for tests and demos - nothing survives a restart.
+const createMemoryDriver = (initialData = {}) => {
+  let snapshot = JSON.parse(JSON.stringify(initialData));
+
+  return {
+    name: 'memory',
+
+    load() {
+      return JSON.parse(JSON.stringify(snapshot));
+    },
+
+    save(data) {
+      snapshot = JSON.parse(JSON.stringify(data));
+    }
+  };
+};
+
+module.exports = createMemoryDriver;
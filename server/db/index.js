@@ -0,0 +1,53 @@
+const path = require('path');
+const Collection = require('./collection');
+const createFileDriver = require('./drivers/fileDriver');
+const createMemoryDriver = require('./drivers/memoryDriver');
+const { runMigrations } = require('./migrations');
+require('dotenv').config();
+
+const COLLECTIONS = [
+  'users',
+  'images',
+  'chatHistory',
+  'medications',
+  'refreshTokens',
+  'verificationTokens',
+  'dataKeys',
+  'ledgerEntries',
+  'ledgerRoots',
+  'lesions'
+];
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', '..', 'data', 'db.json');
+
+// Pick a driver from config: DB_DRIVER=memory gives a throwaway store,
+// anything else persists to DATA_FILE (defaults to data/db.json)
+const createDriverFromEnv = () => {
+  if (process.env.DB_DRIVER === 'memory') {
+    return createMemoryDriver();
+  }
+  return createFileDriver(process.env.DATA_FILE || DEFAULT_DATA_FILE);
+};
+
+// Build a datastore on top of a driver, running any pending migrations.
+// Every route goes through the collections returned here.
+const createDatabase = (driver = createDriverFromEnv()) => {
+  const data = driver.load();
+  const applied = runMigrations(data);
+
+  const persist = () => driver.save(data);
+
+  if (applied > 0) {
+    persist();
+  }
+
+  const db = { driver: driver.name, schemaVersion: data.schemaVersion };
+  COLLECTIONS.forEach(name => {
+    db[name] = new Collection(data[name], persist);
+  });
+
+  console.log(`🗄️  Datastore ready (${driver.name}, schema v${data.schemaVersion})`);
+  return db;
+};
+
+module.exports = { createDatabase, createFileDriver, createMemoryDriver };
@@ -0,0 +1,105 @@
+const bcrypt = require('bcryptjs');
+
+// Schema migrations for the datastore
+// Each migration runs once, in order, against the raw data object and bumps
+// its schemaVersion. Never edit a migration that has shipped - add a new one.
+const migrations = [
+  {
+    version: 1,
+    name: 'create-core-collections',
+    up: (data) => {
+      data.users = data.users || [];
+      data.images = data.images || [];
+      data.chatHistory = data.chatHistory || [];
+      data.medications = data.medications || [];
+    }
+  },
+  {
+    version: 2,
+    name: 'hash-passwords-and-add-refresh-tokens',
+    up: (data) => {
+      data.refreshTokens = data.refreshTokens || [];
+      data.users.forEach(user => {
+        if (user.password) {
+          user.passwordHash = bcrypt.hashSync(user.password, 10);
+          delete user.password;
+        }
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'add-verification-tokens-and-email-verified',
+    up: (data) => {
+      data.verificationTokens = data.verificationTokens || [];
+      data.users.forEach(user => {
+        if (user.emailVerified === undefined) {
+          user.emailVerified = false;
+        }
+      });
+    }
+  },
+  {
+    // Existing scans are encrypted at startup, once the master key is loaded
+    version: 4,
+    name: 'add-data-keys',
+    up: (data) => {
+      data.dataKeys = data.dataKeys || [];
+    }
+  },
+  {
+    version: 5,
+    name: 'add-audit-ledger',
+    up: (data) => {
+      data.ledgerEntries = data.ledgerEntries || [];
+      data.ledgerRoots = data.ledgerRoots || [];
+    }
+  },
+  {
+    // Scans gain an optional lesionId; existing scans stay unlinked
+    version: 6,
+    name: 'add-lesions',
+    up: (data) => {
+      data.lesions = data.lesions || [];
+    }
+  },
+  {
+    // Emails are matched in lowercase from now on. Where two accounts differ
+    // only by case, an account already in lowercase keeps that form, else the
+    // older one takes it; the other keeps its email as-is and is logged for
+    // manual review.
+    version: 7,
+    name: 'lowercase-user-emails',
+    up: (data) => {
+      const withEmail = data.users.filter(user => typeof user.email === 'string');
+      const taken = new Set(withEmail.map(user => user.email).filter(e => e === e.trim().toLowerCase()));
+      withEmail
+        .filter(user => !taken.has(user.email))
+        .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+        .forEach(user => {
+          const canonical = user.email.trim().toLowerCase();
+          if (taken.has(canonical)) {
+            console.warn(`⚠️ User ${user.id} shares email ${canonical} with another account - left unchanged`);
+            return;
+          }
+          taken.add(canonical);
+          user.email = canonical;
+        });
+    }
+  }
+];
+
+const runMigrations = (data) => {
+  const current = data.schemaVersion || 0;
+  const pending = migrations.filter(m => m.version > current);
+
+  pending.forEach(migration => {
+    console.log(`🗄️  Running migration ${migration.version}: ${migration.name}`);
+    migration.up(data);
+    data.schemaVersion = migration.version;
+  });
+
+  return pending.length;
+};
+
+module.exports = { migrations, runMigrations };
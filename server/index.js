@@ -3,36 +3,242 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const blockchain = require('./blockchain');
+const { pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { createBlockchainStorage } = require('./blockchain');
+const { createDatabase } = require('./db');
+const { hashPassword, verifyPassword, createAuthService } = require('./services/authService');
+const createAuthenticate = require('./middleware/authenticate');
+const createAuthorize = require('./middleware/authorize');
+const validate = require('./middleware/validate');
+const createRateLimiter = require('./middleware/rateLimit');
+const schemas = require('./validation/schemas');
+const { serializeUser, serializeAuthMethods, serializeImage } = require('./utils/serializers');
+const { createFacebookVerifier } = require('./services/facebookAuth');
+const { createMailer } = require('./services/mailer');
+const { PURPOSES, createAccountTokens } = require('./services/accountTokens');
+const { verificationEmail, passwordResetEmail } = require('./utils/emailTemplates');
+const { buildUserExport, writeExportZip } = require('./services/dataExport');
+const { createAccountDeletion } = require('./services/accountDeletion');
+const { createImageTrash } = require('./services/imageTrash');
+const { createLoginLockout, describeWait } = require('./services/loginLockout');
 const cloudinary = require('./config/cloudinary');
+const { loadMasterKeys } = require('./config/encryption');
+const { createEnvelopeEncryption } = require('./services/envelopeEncryption');
+const { createAuditLedger } = require('./services/auditLedger');
+const { createStorage, StorageNotFoundError } = require('./storage');
+const { createImageFiles } = require('./services/imageFiles');
 const { OAuth2Client } = require('google-auth-library');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Set TRUST_PROXY (e.g. 1) when running behind a reverse proxy so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Only the configured front-ends may call the API from a browser
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || process.env.CLIENT_URL || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
 // Middleware
 app.use(cors({
-  origin: true, // Allow all origins
+  // Requests without an Origin header (curl, server-to-server) aren't subject to CORS
+  origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin)),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition', 'Retry-After', 'X-Ledger-Entry']
 }));
 app.use(express.json());
-app.use(express.static('uploads'));
 
-// Storage configuration - Use memory storage for Cloudinary
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+// Uploads are buffered in memory, then encrypted and handed to image storage
+const upload = multer({ storage: multer.memoryStorage() });
 
 // Google OAuth client
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// In-memory storage (replace with database in production)
-let users = [];
-let images = [];
-let chatHistory = [];
-let medications = [];
+const GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v3/userinfo';
+
+// The client signs in with useGoogleLogin's implicit flow, which hands us an
+// OAuth access token rather than an ID token. Ask Google whether it was issued
+// to this app, then read the profile with it. Returns the same fields as an
+// ID token payload: { sub, email, email_verified, name, picture }.
+const verifyGoogleToken = async (accessToken) => {
+  const clientId = process.env.GOOGLE_CLIENT_ID;
+  if (!clientId) {
+    throw new Error('Google login is not configured on the server');
+  }
+
+  const info = await googleClient.getTokenInfo(accessToken);
+  if ((info.aud !== clientId && info.azp !== clientId) || !info.sub) {
+    throw new Error('Google token was issued for a different app');
+  }
+
+  // Name and picture are not part of the token info
+  const response = await fetch(GOOGLE_USERINFO_URL, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  const profile = response.ok ? await response.json() : {};
+
+  return {
+    sub: info.sub,
+    email: info.email ? info.email.toLowerCase() : null,
+    email_verified: String(info.email_verified) === 'true',
+    name: profile.sub === info.sub ? profile.name : undefined,
+    picture: profile.sub === info.sub ? profile.picture : undefined
+  };
+};
+
+// Facebook token verifier (Graph API, or a local stub in development)
+const facebookVerifier = createFacebookVerifier();
+
+// Persistent datastore (see server/db)
+const db = createDatabase();
+
+// Scan records and image files are encrypted at rest with per-user data keys,
+// and every upload, analysis and report is written to a hash-chained audit
+// ledger (see server/blockchain.js). Image files go to the storage backend
+// picked by STORAGE_DRIVER (see server/storage).
+const encryption = createEnvelopeEncryption({ db, masterKeys: loadMasterKeys() });
+const ledger = createAuditLedger(db);
+const imageFiles = createImageFiles({ storage: createStorage(), encryption, cloudinary });
+const blockchain = createBlockchainStorage({ db, encryption, ledger, files: imageFiles });
+const rewrappedKeys = encryption.rewrapDataKeys();
+if (rewrappedKeys > 0) {
+  console.log(`🔐 Rewrapped ${rewrappedKeys} data key(s) with master key "${encryption.activeMasterKeyId}"`);
+}
+const sealedImages = blockchain.sealPlaintextImages();
+if (sealedImages > 0) {
+  console.log(`🔐 Encrypted ${sealedImages} previously unencrypted scan(s)`);
+}
+
+// Finished days are sealed into a Merkle root, and sealed roots are published
+// on-chain when anchoring is configured (every LEDGER_ANCHOR_INTERVAL_MINUTES)
+const sealLedgerDays = () => {
+  ledger.sealCompletedDays().forEach(root => {
+    console.log(`⛓️  Sealed ledger day ${root.day}: ${root.entryCount} entries, root ${root.root}`);
+  });
+  blockchain.anchorPendingRoots().catch(error => {
+    console.error('❌ Ledger anchoring error:', error);
+  });
+};
+sealLedgerDays();
+setInterval(sealLedgerDays, Number(process.env.LEDGER_ANCHOR_INTERVAL_MINUTES || 60) * 60 * 1000).unref();
+
+// Sessions: hashed passwords + JWT access/refresh tokens
+const authService = createAuthService(db);
+const authenticate = createAuthenticate(db, authService);
+const authorize = createAuthorize(db);
+authService.pruneExpiredTokens();
+
+// Emailed single-use links (password reset, email verification)
+const mailer = createMailer();
+const accountTokens = createAccountTokens(db);
+accountTokens.pruneExpired();
+
+const sendVerificationEmail = async (user) => {
+  const token = accountTokens.issue(user.id, PURPOSES.EMAIL_VERIFICATION);
+  await mailer.send(verificationEmail(user, token));
+};
+
+// Scheduled account deletion - accounts past their grace period are purged hourly
+const accountDeletion = createAccountDeletion({ db, imageFiles, encryption });
+const purgeDueAccounts = () => {
+  accountDeletion.purgeDueAccounts().catch(error => {
+    console.error('❌ Account purge error:', error);
+  });
+};
+purgeDueAccounts();
+setInterval(purgeDueAccounts, 60 * 60 * 1000).unref();
+
+// Deleted scans sit in a restorable trash; expired ones are purged hourly
+const imageTrash = createImageTrash({ db, imageFiles, blockchain });
+const purgeExpiredScans = () => {
+  imageTrash.purgeExpired().catch(error => {
+    console.error('❌ Scan trash purge error:', error);
+  });
+};
+purgeExpiredScans();
+setInterval(purgeExpiredScans, 60 * 60 * 1000).unref();
+
+// Lesions group a user's scans of the same spot into one history
+const findLesion = (userId, lesionId) => db.lesions.find(l => l.id === lesionId && l.userId === userId);
+const summarizeLesion = (lesion) => {
+  const scans = db.images.filter(img => img.lesionId === lesion.id && !img.deletedAt);
+  const lastScanAt = scans
+    .map(img => new Date(img.uploadedAt).toISOString())
+    .sort()
+    .pop();
+  return { ...lesion, scanCount: scans.length, lastScanAt: lastScanAt || null };
+};
+
+// Throttling: per-IP limits on public auth routes, per-account limits on
+// logins and uploads, plus a progressive lockout after failed passwords
+const loginLockout = createLoginLockout(db);
+const byAccountEmail = (req) => req.body && typeof req.body.email === 'string' && req.body.email.toLowerCase();
+const rateLimits = {
+  loginByIp: createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: 'Too many login attempts from this network. Please try again later.'
+  }),
+  loginByAccount: createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    keyGenerator: byAccountEmail,
+    message: 'Too many login attempts for this account. Please try again later.'
+  }),
+  registerByIp: createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: 'Too many accounts created from this network. Please try again later.'
+  }),
+  accountEmailsByIp: createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: 'Too many requests. Please wait before asking for another email.'
+  }),
+  uploadByIp: createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    message: 'Too many uploads from this network. Please try again later.'
+  }),
+  uploadByAccount: createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    keyGenerator: (req) => req.user && req.user.id,
+    message: 'Upload limit reached. Please wait a few minutes before scanning again.'
+  })
+};
+
+// Every /api route needs a session except the ones that create one
+const PUBLIC_ROUTES = [
+  '/register',
+  '/login',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/google',
+  '/auth/facebook',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email'
+];
+
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_ROUTES.includes(req.path)) {
+    return next();
+  }
+  authenticate(req, res, next);
+});
+
+// Reject cross-user access on any route carrying these params
+app.param('userId', authorize.ownsUserParam);
+app.param('imageId', authorize.ownsImage);
 
 // Helper function to initialize gamification for user
 const initializeGamification = (user) => {
@@ -91,112 +297,194 @@ const updateHPMP = (gamification) => {
 };
 
 // Routes
-app.post('/api/register', (req, res) => {
-  const { name, email, password, quizAnswers } = req.body;
-  const user = {
-    id: Date.now().toString(),
-    name,
-    email,
-    password, // In production, hash this
-    quizAnswers,
-    createdAt: new Date()
-  };
-  users.push(user);
-  res.json({ success: true, user: { id: user.id, name: user.name, email: user.email } });
+app.post('/api/register', rateLimits.registerByIp, validate(schemas.register), async (req, res) => {
+  try {
+    const { name, email, password, quizAnswers } = req.body;
+
+    if (db.users.find(u => u.email === email)) {
+      return res.status(409).json({ success: false, message: 'An account with this email already exists' });
+    }
+
+    const user = db.users.insert({
+      name,
+      email,
+      passwordHash: await hashPassword(password),
+      emailVerified: false,
+      quizAnswers,
+      createdAt: new Date()
+    });
+    
+    sendVerificationEmail(user).catch(error => {
+      console.warn('⚠️ Could not send verification email:', error.message);
+    });
+    
+    const tokens = authService.issueTokens(user);
+    res.json({ success: true, user: serializeUser(user), ...tokens });
+  } catch (error) {
+    console.error('❌ Registration error:', error);
+    res.status(500).json({ success: false, message: 'Registration failed' });
+  }
+});
+
+app.post('/api/login', rateLimits.loginByIp, validate(schemas.login), rateLimits.loginByAccount, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = db.users.find(u => u.email === email);
+
+    // Locked accounts are refused before the password is even checked
+    const lockedFor = user ? loginLockout.lockedFor(user) : 0;
+    if (lockedFor > 0) {
+      res.setHeader('Retry-After', lockedFor);
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${describeWait(lockedFor)}.`,
+        retryAfter: lockedFor
+      });
+    }
+
+    const valid = user ? await verifyPassword(password, user.passwordHash) : false;
+
+    if (valid) {
+      loginLockout.reset(user);
+      const tokens = authService.issueTokens(user);
+      res.json({ success: true, user: serializeUser(user), ...tokens });
+    } else {
+      if (user && user.passwordHash) {
+        loginLockout.recordFailure(user);
+      }
+      res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ success: false, message: 'Login failed' });
+  }
+});
+
+// Session endpoints
+app.post('/api/auth/refresh', validate(schemas.refresh), (req, res) => {
+  const { refreshToken } = req.body;
+  const result = authService.rotateRefreshToken(refreshToken);
+
+  if (!result) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+  }
+
+  const { user, tokens } = result;
+  res.json({ success: true, user: serializeUser(user), ...tokens });
 });
 
-app.post('/api/login', (req, res) => {
-  const { email, password } = req.body;
-  const user = users.find(u => u.email === email && u.password === password);
+app.post('/api/auth/logout', validate(schemas.logout), (req, res) => {
+  const { refreshToken } = req.body;
+  if (refreshToken) {
+    authService.revokeRefreshToken(refreshToken);
+  }
+  res.json({ success: true });
+});
+
+// Always answers the same way so the endpoint can't be used to probe for accounts
+app.post('/api/auth/forgot-password', rateLimits.accountEmailsByIp, validate(schemas.forgotPassword), async (req, res) => {
+  const { email } = req.body;
+  const user = db.users.find(u => u.email === email);
+
   if (user) {
-    res.json({ success: true, user: { id: user.id, name: user.name, email: user.email } });
-  } else {
-    res.status(401).json({ success: false, message: 'Invalid credentials' });
+    try {
+      const token = accountTokens.issue(user.id, PURPOSES.PASSWORD_RESET);
+      await mailer.send(passwordResetEmail(user, token));
+    } catch (error) {
+      console.error('❌ Password reset email error:', error);
+    }
   }
+
+  res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent.' });
 });
 
-app.post('/api/upload', upload.single('image'), async (req, res) => {
+app.post('/api/auth/reset-password', validate(schemas.resetPassword), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image uploaded' });
-    }
+    const { token, password } = req.body;
 
-    const { userId, notes } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    const userId = accountTokens.consume(token, PURPOSES.PASSWORD_RESET);
+    const user = userId && db.users.findById(userId);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
     }
 
-    let cloudinaryUrl = null;
-    let cloudinaryPublicId = null;
-
-    // Try to upload to Cloudinary if configured
-    const hasCloudinaryConfig = process.env.CLOUDINARY_CLOUD_NAME && 
-                                 process.env.CLOUDINARY_API_KEY && 
-                                 process.env.CLOUDINARY_API_SECRET;
-
-    if (hasCloudinaryConfig) {
-      try {
-        console.log('📤 Uploading to Cloudinary...');
-        const uploadResult = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              folder: 'skin-cancer-detection',
-              resource_type: 'image',
-              transformation: [{ quality: 'auto', fetch_format: 'auto' }]
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          uploadStream.end(req.file.buffer);
-        });
-        cloudinaryUrl = uploadResult.secure_url;
-        cloudinaryPublicId = uploadResult.public_id;
-        console.log('✅ Cloudinary upload successful');
-      } catch (cloudinaryError) {
-        console.warn('⚠️ Cloudinary upload failed, using local storage:', cloudinaryError.message);
-        // Continue without Cloudinary - we'll use a data URL instead
-      }
-    } else {
-      console.log('ℹ️ Cloudinary not configured, using local storage');
+    // Receiving the reset link also proves the user owns the address
+    db.users.update(user.id, { passwordHash: await hashPassword(password), emailVerified: true });
+    loginLockout.reset(user);
+    authService.revokeAllForUser(user.id);
+
+    res.json({ success: true, message: 'Your password has been reset. Please log in.' });
+  } catch (error) {
+    console.error('❌ Password reset error:', error);
+    res.status(500).json({ success: false, message: 'Password reset failed' });
+  }
+});
+
+app.post('/api/auth/verify-email', validate(schemas.verifyEmail), (req, res) => {
+  const userId = accountTokens.consume(req.body.token, PURPOSES.EMAIL_VERIFICATION);
+  const user = userId && db.users.findById(userId);
+
+  if (!user) {
+    return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' });
+  }
+
+  db.users.update(user.id, { emailVerified: true });
+  res.json({ success: true, message: 'Your email address is verified.' });
+});
+
+app.post('/api/account/verify-email/resend', rateLimits.accountEmailsByIp, validate(schemas.resendVerification), async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.json({ success: true, message: 'Your email address is already verified.' });
+  }
+
+  try {
+    await sendVerificationEmail(req.user);
+    res.json({ success: true, message: 'Verification email sent.' });
+  } catch (error) {
+    console.error('❌ Verification email error:', error);
+    res.status(500).json({ success: false, message: 'Could not send verification email' });
+  }
+});
+
+app.get('/api/auth/me', validate(schemas.me), (req, res) => {
+  res.json({ success: true, user: serializeUser(req.user) });
+});
+
+app.post('/api/upload', rateLimits.uploadByIp, rateLimits.uploadByAccount, upload.single('image'), validate(schemas.upload), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
     }
 
-    // If Cloudinary failed or not configured, create a data URL from the buffer
-    if (!cloudinaryUrl) {
-      const base64Image = req.file.buffer.toString('base64');
-      cloudinaryUrl = `data:${req.file.mimetype};base64,${base64Image}`;
+    // Scans always belong to the caller, whatever userId the client sends
+    const userId = req.user.id;
+    const { notes, lesionId } = req.body;
+
+    if (lesionId && !findLesion(userId, lesionId)) {
+      return res.status(404).json({ error: 'Lesion not found' });
     }
 
     const imageData = {
-      id: Date.now().toString(),
+      id: uuidv4(),
       userId,
+      lesionId: lesionId || null,
       filename: req.file.originalname,
-      cloudinaryUrl: cloudinaryUrl,
-      cloudinaryPublicId: cloudinaryPublicId,
       notes: notes || '',
       uploadedAt: new Date(),
       analysis: null
     };
 
-    // Encrypt data using blockchain
-    try {
-      const encryptedData = await blockchain.encryptData(imageData, userId);
-      imageData.blockchainHash = encryptedData.hash;
-      imageData.blockchainTimestamp = encryptedData.timestamp;
-      
-      // Store encrypted metadata on blockchain
-      await blockchain.storeOnBlockchain(encryptedData);
-    } catch (blockchainError) {
-      console.warn('⚠️ Blockchain encryption failed:', blockchainError.message);
-      // Continue without blockchain encryption
-    }
+    // The image is encrypted before it reaches the storage backend
+    imageData.file = await imageFiles.save(imageData, req.file);
 
-    images.push(imageData);
-    console.log(`✅ Image saved successfully. Total images: ${images.length}`);
+    // Ledger the plaintext fingerprint so the scan can later be proven unaltered
+    blockchain.recordUpload(imageData);
+
+    // Notes and analysis are never stored unencrypted either
+    const savedImage = db.images.insert(blockchain.sealImage(imageData));
+    console.log(`✅ Image saved successfully. Total images: ${db.images.count()}`);
     
-    res.json({ success: true, image: imageData });
+    res.json({ success: true, image: serializeImage(blockchain.openImage(savedImage)) });
   } catch (error) {
     console.error('❌ Upload error:', error);
     console.error('Error stack:', error.stack);
@@ -207,26 +495,128 @@ app.post('/api/upload', upload.single('image'), async (req, res) => {
   }
 });
 
-app.get('/api/images/:userId', (req, res) => {
-  const userImages = images.filter(img => img.userId === req.params.userId);
+app.get('/api/images/:userId', validate(schemas.listImages), (req, res) => {
+  const userImages = db.images
+    .filter(img => img.userId === req.params.userId && !img.deletedAt)
+    .map(img => serializeImage(blockchain.openImage(img)));
   res.json({ images: userImages });
 });
 
-app.post('/api/analyze/:imageId', (req, res) => {
-  const { imageId } = req.params;
-  const { cancer, infection, recommendations } = req.body;
+app.get('/api/images/:userId/trash', validate(schemas.listTrash), (req, res) => {
+  const trashed = imageTrash.trashedFor(req.params.userId).map(img => ({
+    ...serializeImage(blockchain.openImage(img)),
+    purgeAt: imageTrash.purgeAt(img)
+  }));
+  res.json({ images: trashed });
+});
+
+// Fix a scan's notes or date, or move it to another lesion. Notes and date
+// edits are ledgered, so verification keeps passing.
+app.put('/api/images/:imageId', validate(schemas.updateImage), (req, res) => {
+  if (req.image.deletedAt) {
+    return res.status(409).json({ error: 'Restore this scan from the trash before editing it' });
+  }
+
+  const { notes, uploadedAt, lesionId } = req.body;
+  if (lesionId && !findLesion(req.user.id, lesionId)) {
+    return res.status(404).json({ error: 'Lesion not found' });
+  }
+
+  const image = blockchain.openImage(req.image);
+  if (lesionId !== undefined) image.lesionId = lesionId;
+  image.updatedAt = new Date().toISOString();
+  // The lesion link isn't part of the ledgered fingerprint
+  if (notes !== undefined || uploadedAt !== undefined) {
+    if (notes !== undefined) image.notes = notes;
+    if (uploadedAt !== undefined) image.uploadedAt = uploadedAt;
+    blockchain.recordUpdate(image);
+  }
+
+  db.images.save(Object.assign(req.image, blockchain.sealImage(image)));
+  res.json({ success: true, image: serializeImage(blockchain.openImage(req.image)) });
+});
+
+// Moves a scan to the trash; it can be restored until purgeAt
+app.delete('/api/images/:imageId', validate(schemas.deleteImage), (req, res) => {
+  if (!req.image.deletedAt) {
+    imageTrash.moveToTrash(req.image);
+  }
+  res.json({
+    success: true,
+    image: { ...serializeImage(blockchain.openImage(req.image)), purgeAt: imageTrash.purgeAt(req.image) }
+  });
+});
+
+app.post('/api/images/:imageId/restore', validate(schemas.restoreImage), (req, res) => {
+  if (!req.image.deletedAt) {
+    return res.status(409).json({ error: 'This scan is not in the trash' });
+  }
+  imageTrash.restore(req.image);
+  res.json({ success: true, image: serializeImage(blockchain.openImage(req.image)) });
+});
+
+// Streams a scan's image, decrypted, to its owner only. `size` picks the
+// thumb or medium variant made at upload; full is the original.
+app.get('/api/images/:imageId/file', validate(schemas.imageFile), async (req, res) => {
+  try {
+    // Scans uploaded before variants existed get them on first request
+    if (req.query.size !== 'full') {
+      await imageFiles.ensureVariants(req.image, image => db.images.save(image));
+    }
+
+    const image = blockchain.openImage(req.image);
+
+    // Stored files are immutable, so their plaintext hash makes a strong ETag
+    const stored = imageFiles.stored(image, req.query.size);
+    if (stored) {
+      res.set('ETag', `"${stored.sha256}"`);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+    }
+
+    const { stream, contentType, size } = await imageFiles.open(image, req.query.size);
+    res.set({
+      'Content-Type': contentType || 'application/octet-stream',
+      'Content-Length': size,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    pipeline(stream, res, (error) => {
+      if (error) {
+        console.error(`❌ Streaming image ${image.id} failed:`, error.message);
+      }
+    });
+  } catch (error) {
+    if (error instanceof StorageNotFoundError) {
+      return res.status(404).json({ error: 'Image file not found' });
+    }
+    console.error('❌ Image file error:', error);
+    res.status(500).json({ error: 'Could not load image file' });
+  }
+});
+
+app.post('/api/analyze/:imageId', validate(schemas.analyze), (req, res) => {
+  const { cancer, infection, recommendations, quality } = req.body;
   
-  const image = images.find(img => img.id === imageId);
+  const image = req.image;
+  if (image && image.deletedAt) {
+    return res.status(409).json({ error: 'Restore this scan from the trash before analyzing it' });
+  }
   if (image) {
-    image.analysis = {
-      cancer: cancer || {},
-      infection: infection || {},
-      recommendations: recommendations || [],
+    const analysis = {
+      cancer,
+      infection,
+      recommendations,
+      quality,
       analyzedAt: new Date()
     };
+    image.analysis = analysis;
+    blockchain.recordAnalysis(image);
+    
+    db.images.save(blockchain.sealImage(image, ['analysis']));
     
     // Award XP for completing scan
-    const user = users.find(u => u.id === image.userId);
+    const user = db.users.findById(image.userId);
     let gamificationData = null;
     let leveledUp = false;
     let newLevel = null;
@@ -257,13 +647,15 @@ app.post('/api/analyze/:imageId', (req, res) => {
         newLevel = gamification.level;
       }
       
+      db.users.save(user);
+      
       // Return gamification data so frontend can update
       gamificationData = { ...gamification };
     }
     
     res.json({ 
       success: true, 
-      analysis: image.analysis,
+      analysis,
       gamification: gamificationData,
       leveledUp: leveledUp,
       newLevel: leveledUp ? newLevel : null
@@ -275,7 +667,7 @@ app.post('/api/analyze/:imageId', (req, res) => {
 
 // Server-side AI analysis endpoint
 // This endpoint can integrate with external ML APIs or run models server-side
-app.post('/api/analyze-server', upload.single('image'), async (req, res) => {
+app.post('/api/analyze-server', upload.single('image'), validate(schemas.analyzeServer), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image uploaded' });
@@ -321,13 +713,14 @@ app.post('/api/analyze-server', upload.single('image'), async (req, res) => {
   }
 });
 
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', validate(schemas.chat), async (req, res) => {
   try {
-    const { message, userId, conversationHistory } = req.body;
+    const { message, conversationHistory } = req.body;
     const lowerMessage = message.toLowerCase();
     
     // Get user profile for personalized responses
-    const user = users.find(u => u.id === userId);
+    const user = req.user;
+    const userId = user.id;
     
     // Natural response generation based on message content
     let responseMessage = '';
@@ -781,7 +1174,7 @@ app.post('/api/chat', async (req, res) => {
       message: responseMessage
     };
     
-    chatHistory.push({ userId, message, response, timestamp: new Date() });
+    db.chatHistory.insert({ userId, message, response, timestamp: new Date() });
     
     // Award XP for chatbot interaction
     // Note: user is already declared at the top of this function
@@ -791,6 +1184,7 @@ app.post('/api/chat', async (req, res) => {
       gamification.stats.chatbotInteractions += 1;
       gamification.stats.lastActivityDate = new Date().toISOString();
       updateHPMP(gamification);
+      db.users.save(user);
     }
     
     res.json({ success: true, response });
@@ -800,16 +1194,16 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-app.get('/api/user/:userId', (req, res) => {
+app.get('/api/user/:userId', validate(schemas.getUser), (req, res) => {
   try {
     const { userId } = req.params;
     console.log(`📤 Fetching user profile for ID: ${userId}`);
-    console.log(`📊 Total users in database: ${users.length}`);
+    console.log(`📊 Total users in database: ${db.users.count()}`);
     
-    const user = users.find(u => u.id === userId);
+    const user = db.users.findById(userId);
     if (user) {
       console.log(`✅ User found: ${user.name} (${user.email})`);
-      res.json({ user });
+      res.json({ user: serializeUser(user) });
     } else {
       console.warn(`⚠️ User not found with ID: ${userId}`);
       res.status(404).json({ error: 'User not found' });
@@ -821,44 +1215,39 @@ app.get('/api/user/:userId', (req, res) => {
 });
 
 // OAuth Routes
-app.post('/api/auth/google', async (req, res) => {
+app.post('/api/auth/google', validate(schemas.googleAuth), async (req, res) => {
   try {
     const { token } = req.body;
     
-    const ticket = await googleClient.verifyIdToken({
-      idToken: token,
-      audience: process.env.GOOGLE_CLIENT_ID
-    });
-    
-    const payload = ticket.getPayload();
+    const payload = await verifyGoogleToken(token);
     const { sub: googleId, email, name, picture } = payload;
     
-    // Check if user exists by email or Google ID
-    let user = users.find(u => u.email === email || u.googleId === googleId);
+    let user = db.users.find(u => u.googleId === googleId);
     
     if (!user) {
-      // Create new user
-      user = {
-        id: Date.now().toString(),
+      // Existing accounts connect Google explicitly from their profile
+      if (email && db.users.find(u => u.email === email)) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists. Sign in with your existing method to connect Google.'
+        });
+      }
+      
+      user = db.users.insert({
         name,
         email,
+        emailVerified: Boolean(payload.email_verified),
         googleId,
         profilePicture: picture,
         createdAt: new Date(),
         quizAnswers: null
-      };
-      users.push(user);
-    } else {
-      // Update existing user with Google ID if not set
-      if (!user.googleId) {
-        user.googleId = googleId;
-        user.profilePicture = picture;
-      }
+      });
     }
     
     res.json({ 
       success: true, 
-      user: { id: user.id, name: user.name, email: user.email, profilePicture: user.profilePicture } 
+      user: serializeUser(user),
+      ...authService.issueTokens(user)
     });
   } catch (error) {
     console.error('Google OAuth error:', error);
@@ -866,39 +1255,45 @@ app.post('/api/auth/google', async (req, res) => {
   }
 });
 
-app.post('/api/auth/facebook', async (req, res) => {
+app.post('/api/auth/facebook', validate(schemas.facebookAuth), async (req, res) => {
   try {
-    const { accessToken, userID, name, email, picture } = req.body;
+    const { accessToken, userID } = req.body;
     
-    // Verify Facebook token (simplified - in production, verify with Facebook API)
-    // For now, we'll trust the client-side verification
+    // Ask Facebook who the token belongs to - the client's name/email are ignored
+    const profile = await facebookVerifier.verify(accessToken);
+    
+    if (profile.userId !== String(userID)) {
+      return res.status(401).json({ success: false, error: 'Facebook token does not match this user' });
+    }
     
-    // Check if user exists
-    let user = users.find(u => u.email === email || u.facebookId === userID);
+    let user = db.users.find(u => u.facebookId === profile.userId);
     
     if (!user) {
-      // Create new user
-      user = {
-        id: Date.now().toString(),
-        name,
-        email,
-        facebookId: userID,
-        profilePicture: picture?.data?.url,
+      // Never merge into an existing account just because the email matches:
+      // the owner has to sign in first and link Facebook themselves
+      if (profile.email && db.users.find(u => u.email === profile.email)) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists. Sign in with your existing method to connect Facebook.'
+        });
+      }
+      
+      user = db.users.insert({
+        name: profile.name,
+        email: profile.email,
+        // Facebook only returns confirmed email addresses
+        emailVerified: Boolean(profile.email),
+        facebookId: profile.userId,
+        profilePicture: profile.picture,
         createdAt: new Date(),
         quizAnswers: null
-      };
-      users.push(user);
-    } else {
-      // Update existing user
-      if (!user.facebookId) {
-        user.facebookId = userID;
-        user.profilePicture = picture?.data?.url;
-      }
+      });
     }
     
     res.json({ 
       success: true, 
-      user: { id: user.id, name: user.name, email: user.email, profilePicture: user.profilePicture } 
+      user: serializeUser(user),
+      ...authService.issueTokens(user)
     });
   } catch (error) {
     console.error('Facebook OAuth error:', error);
@@ -906,17 +1301,164 @@ app.post('/api/auth/facebook', async (req, res) => {
   }
 });
 
+// Sign-in method linking
+// The user is already signed in here, so a rejected credential is a 403: a 401
+// would make the client treat it as an expired session and refresh
+app.get('/api/account/auth-methods', validate(schemas.listAuthMethods), (req, res) => {
+  res.json({ success: true, methods: serializeAuthMethods(req.user) });
+});
+
+app.post('/api/account/link/google', validate(schemas.linkGoogle), async (req, res) => {
+  let payload;
+  try {
+    payload = await verifyGoogleToken(req.body.token);
+  } catch (error) {
+    console.error('Google link error:', error);
+    return res.status(403).json({ success: false, error: 'Invalid Google token' });
+  }
+
+  const owner = db.users.find(u => u.googleId === payload.sub);
+  if (owner && owner.id !== req.user.id) {
+    return res.status(409).json({ success: false, error: 'This Google account is already connected to another user' });
+  }
+
+  db.users.update(req.user.id, {
+    googleId: payload.sub,
+    profilePicture: req.user.profilePicture || payload.picture
+  });
+  res.json({ success: true, methods: serializeAuthMethods(req.user) });
+});
+
+app.post('/api/account/link/facebook', validate(schemas.linkFacebook), async (req, res) => {
+  const { accessToken, userID } = req.body;
+  let profile;
+  try {
+    profile = await facebookVerifier.verify(accessToken);
+  } catch (error) {
+    console.error('Facebook link error:', error);
+    return res.status(403).json({ success: false, error: 'Invalid Facebook token' });
+  }
+
+  if (profile.userId !== String(userID)) {
+    return res.status(403).json({ success: false, error: 'Facebook token does not match this user' });
+  }
+
+  const owner = db.users.find(u => u.facebookId === profile.userId);
+  if (owner && owner.id !== req.user.id) {
+    return res.status(409).json({ success: false, error: 'This Facebook account is already connected to another user' });
+  }
+
+  db.users.update(req.user.id, {
+    facebookId: profile.userId,
+    profilePicture: req.user.profilePicture || profile.picture
+  });
+  res.json({ success: true, methods: serializeAuthMethods(req.user) });
+});
+
+// Add a password to an OAuth-only account (changing an existing one needs the current password)
+app.post('/api/account/link/password', validate(schemas.linkPassword), async (req, res) => {
+  try {
+    const { password, currentPassword } = req.body;
+
+    if (req.user.passwordHash && !(await verifyPassword(currentPassword, req.user.passwordHash))) {
+      return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+    }
+
+    db.users.update(req.user.id, { passwordHash: await hashPassword(password) });
+    res.json({ success: true, methods: serializeAuthMethods(req.user) });
+  } catch (error) {
+    console.error('Set password error:', error);
+    res.status(500).json({ success: false, error: 'Failed to set password' });
+  }
+});
+
+const AUTH_METHOD_FIELDS = {
+  password: 'passwordHash',
+  google: 'googleId',
+  facebook: 'facebookId'
+};
+
+app.delete('/api/account/link/:provider', validate(schemas.unlinkAuthMethod), (req, res) => {
+  const field = AUTH_METHOD_FIELDS[req.params.provider];
+  if (!field) {
+    return res.status(404).json({ success: false, error: 'Unknown sign-in method' });
+  }
+
+  if (!req.user[field]) {
+    return res.status(400).json({ success: false, error: 'This sign-in method is not connected' });
+  }
+
+  const remaining = serializeAuthMethods(req.user)
+    .filter(m => m.connected && m.provider !== req.params.provider);
+  if (remaining.length === 0) {
+    return res.status(409).json({ success: false, error: 'You cannot remove your only sign-in method' });
+  }
+
+  db.users.update(req.user.id, { [field]: null });
+  res.json({ success: true, methods: serializeAuthMethods(req.user) });
+});
+
+// Personal data export (zip with manifest)
+app.get('/api/account/export', validate(schemas.exportData), async (req, res) => {
+  try {
+    const bundle = await buildUserExport(db, req.user, {
+      openImage: img => blockchain.openImage(img),
+      readImage: img => imageFiles.read(img)
+    });
+    const fileName = `SkinGuard-Data-${new Date().toISOString().split('T')[0]}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    await writeExportZip(bundle, res);
+  } catch (error) {
+    console.error('❌ Data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export data' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Account deletion: requires re-confirming, then waits out the grace period
+app.post('/api/account/delete', validate(schemas.deleteAccount), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    // 403, not 401: the session is fine, only the confirmation failed
+    if (req.user.passwordHash && !(await verifyPassword(password, req.user.passwordHash))) {
+      return res.status(403).json({ success: false, error: 'Password is incorrect' });
+    }
+
+    const deletionScheduledAt = accountDeletion.scheduleDeletion(req.user);
+    res.json({
+      success: true,
+      deletionScheduledAt,
+      message: `Your account will be permanently deleted in ${accountDeletion.GRACE_DAYS} days unless you cancel.`
+    });
+  } catch (error) {
+    console.error('❌ Account deletion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to schedule account deletion' });
+  }
+});
+
+app.post('/api/account/delete/cancel', validate(schemas.cancelDeletion), (req, res) => {
+  accountDeletion.cancelDeletion(req.user);
+  res.json({ success: true, message: 'Account deletion cancelled.' });
+});
+
 // PDF Generation Endpoint
-app.get('/api/generate-pdf/:userId', async (req, res) => {
+app.get('/api/generate-pdf/:userId', validate(schemas.generatePdf), async (req, res) => {
   try {
     const { userId } = req.params;
-    const user = users.find(u => u.id === userId);
+    const user = db.users.findById(userId);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const userImages = images.filter(img => img.userId === userId);
+    const userImages = db.images
+      .filter(img => img.userId === userId && !img.deletedAt)
+      .map(img => blockchain.openImage(img));
     
     if (userImages.length === 0) {
       return res.status(400).json({ error: 'No images found for this user' });
@@ -931,7 +1473,10 @@ app.get('/api/generate-pdf/:userId', async (req, res) => {
       fs.mkdirSync(tempDir, { recursive: true });
     }
 
-    await pdfGenerator.generatePDF(user, userImages, outputPath);
+    const lesions = db.lesions.filter(l => l.userId === userId);
+    await pdfGenerator.generatePDF(user, userImages, outputPath, lesions);
+    const reportEntry = blockchain.recordReport(userId, fs.readFileSync(outputPath));
+    res.setHeader('X-Ledger-Entry', reportEntry.hash);
     
     res.download(outputPath, `SkinGuard-Report-${user.name}-${Date.now()}.pdf`, (err) => {
       if (err) {
@@ -952,41 +1497,57 @@ app.get('/api/generate-pdf/:userId', async (req, res) => {
   }
 });
 
+// Audit ledger verification
+app.get('/api/ledger/images/:imageId/verify', validate(schemas.verifyImage), async (req, res) => {
+  try {
+    res.json({ success: true, imageId: req.image.id, ...(await blockchain.verifyImage(req.image)) });
+  } catch (error) {
+    console.error('❌ Image verification error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify image' });
+  }
+});
+
+app.post('/api/ledger/reports/verify', upload.single('report'), validate(schemas.verifyReport), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No report uploaded' });
+  }
+  try {
+    res.json({ success: true, ...(await blockchain.verifyReport(req.user.id, req.file.buffer)) });
+  } catch (error) {
+    console.error('❌ Report verification error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify report' });
+  }
+});
+
 // Medication endpoints
-app.get('/api/medications/:userId', (req, res) => {
-  const userMeds = medications.filter(m => m.userId === req.params.userId);
+app.get('/api/medications/:userId', validate(schemas.listMedications), (req, res) => {
+  const userMeds = db.medications.filter(m => m.userId === req.params.userId);
   res.json({ medications: userMeds });
 });
 
-app.post('/api/medications/:userId', (req, res) => {
+app.post('/api/medications/:userId', validate(schemas.addMedication), (req, res) => {
   const { name, dosage, frequency, times, startDate, duration } = req.body;
   
-  if (!name || !dosage) {
-    return res.status(400).json({ error: 'Medication name and dosage are required' });
-  }
-
-  const medication = {
-    id: Date.now().toString(),
+  const medication = db.medications.insert({
     userId: req.params.userId,
     name,
     dosage,
-    frequency: frequency || 'daily',
-    times: times || ['09:00'],
+    frequency,
+    times,
     startDate: startDate || new Date().toISOString().split('T')[0],
-    duration: duration || 7,
+    duration,
     takenToday: [],
     createdAt: new Date()
-  };
+  });
   
-  medications.push(medication);
   res.json({ success: true, medication });
 });
 
-app.post('/api/medications/:userId/:medId/taken', (req, res) => {
+app.post('/api/medications/:userId/:medId/taken', validate(schemas.markMedicationTaken), (req, res) => {
   const { medId } = req.params;
   const { time, date } = req.body;
   
-  const medication = medications.find(m => m.id === medId && m.userId === req.params.userId);
+  const medication = db.medications.find(m => m.id === medId && m.userId === req.params.userId);
   
   if (!medication) {
     return res.status(404).json({ error: 'Medication not found' });
@@ -1004,8 +1565,10 @@ app.post('/api/medications/:userId/:medId/taken', (req, res) => {
   if (!existingEntry) {
     medication.takenToday.push({ time, date: today });
     
+    db.medications.save(medication);
+    
     // Award XP for taking medication
-    const user = users.find(u => u.id === req.params.userId);
+    const user = db.users.findById(req.params.userId);
     if (user) {
       const gamification = initializeGamification(user);
       gamification.xp += 25; // Medication XP
@@ -1013,7 +1576,7 @@ app.post('/api/medications/:userId/:medId/taken', (req, res) => {
       gamification.stats.lastActivityDate = new Date().toISOString();
       
       // Update medication adherence streak
-      const allMeds = medications.filter(m => m.userId === req.params.userId);
+      const allMeds = db.medications.filter(m => m.userId === req.params.userId);
       const allTakenToday = allMeds.every(m => {
         if (!m.takenToday || m.takenToday.length === 0) return false;
         return m.takenToday.some(entry => entry.date === today);
@@ -1033,36 +1596,95 @@ app.post('/api/medications/:userId/:medId/taken', (req, res) => {
       }
       
       updateHPMP(gamification);
+      db.users.save(user);
     }
   }
 
   res.json({ success: true, medication });
 });
 
-app.delete('/api/medications/:userId/:medId', (req, res) => {
+app.delete('/api/medications/:userId/:medId', validate(schemas.deleteMedication), (req, res) => {
   const { medId } = req.params;
-  const medicationIndex = medications.findIndex(
+  const medication = db.medications.find(
     m => m.id === medId && m.userId === req.params.userId
   );
   
-  if (medicationIndex === -1) {
+  if (!medication) {
     return res.status(404).json({ error: 'Medication not found' });
   }
 
-  medications.splice(medicationIndex, 1);
+  db.medications.remove(medication.id);
+  res.json({ success: true });
+});
+
+// Lesion endpoints
+app.get('/api/lesions/:userId', validate(schemas.listLesions), (req, res) => {
+  const lesions = db.lesions
+    .filter(l => l.userId === req.params.userId)
+    .map(summarizeLesion);
+  res.json({ lesions });
+});
+
+app.post('/api/lesions/:userId', validate(schemas.addLesion), (req, res) => {
+  const { name, bodyLocation, bodyPosition, firstSeenAt } = req.body;
+  const now = new Date().toISOString();
+
+  const lesion = db.lesions.insert({
+    userId: req.params.userId,
+    name,
+    bodyLocation,
+    bodyPosition: bodyPosition || null,
+    firstSeenAt: firstSeenAt || now.split('T')[0],
+    createdAt: now,
+    updatedAt: now
+  });
+
+  res.json({ success: true, lesion: summarizeLesion(lesion) });
+});
+
+app.put('/api/lesions/:userId/:lesionId', validate(schemas.updateLesion), (req, res) => {
+  const lesion = findLesion(req.params.userId, req.params.lesionId);
+
+  if (!lesion) {
+    return res.status(404).json({ error: 'Lesion not found' });
+  }
+
+  ['name', 'bodyLocation', 'bodyPosition', 'firstSeenAt'].forEach(field => {
+    if (req.body[field] !== undefined) lesion[field] = req.body[field];
+  });
+  lesion.updatedAt = new Date().toISOString();
+  db.lesions.save(lesion);
+
+  res.json({ success: true, lesion: summarizeLesion(lesion) });
+});
+
+// Deleting a lesion keeps its scans; they just become unassigned
+app.delete('/api/lesions/:userId/:lesionId', validate(schemas.deleteLesion), (req, res) => {
+  const lesion = findLesion(req.params.userId, req.params.lesionId);
+
+  if (!lesion) {
+    return res.status(404).json({ error: 'Lesion not found' });
+  }
+
+  db.images.filter(img => img.lesionId === lesion.id).forEach(img => {
+    img.lesionId = null;
+    db.images.save(img);
+  });
+  db.lesions.remove(lesion.id);
   res.json({ success: true });
 });
 
 // Gamification endpoints
-app.get('/api/gamification/:userId', (req, res) => {
+app.get('/api/gamification/:userId', validate(schemas.getGamification), (req, res) => {
   try {
-    const user = users.find(u => u.id === req.params.userId);
+    const user = db.users.findById(req.params.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
     const gamification = initializeGamification(user);
     updateHPMP(gamification);
+    db.users.save(user);
     
     res.json({ success: true, gamification });
   } catch (error) {
@@ -1071,10 +1693,10 @@ app.get('/api/gamification/:userId', (req, res) => {
   }
 });
 
-app.post('/api/gamification/:userId/award-xp', (req, res) => {
+app.post('/api/gamification/:userId/award-xp', validate(schemas.awardXP), (req, res) => {
   try {
     const { xp, action } = req.body;
-    const user = users.find(u => u.id === req.params.userId);
+    const user = db.users.findById(req.params.userId);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -1112,6 +1734,8 @@ app.post('/api/gamification/:userId/award-xp', (req, res) => {
       gamification.level = calculateLevel(gamification.xp);
     }
     
+    db.users.save(user);
+    
     res.json({ 
       success: true, 
       gamification,
@@ -1124,9 +1748,9 @@ app.post('/api/gamification/:userId/award-xp', (req, res) => {
   }
 });
 
-app.post('/api/gamification/:userId/check-in', (req, res) => {
+app.post('/api/gamification/:userId/check-in', validate(schemas.checkIn), (req, res) => {
   try {
-    const user = users.find(u => u.id === req.params.userId);
+    const user = db.users.findById(req.params.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -1186,6 +1810,7 @@ app.post('/api/gamification/:userId/check-in', (req, res) => {
     }
     
     updateHPMP(gamification);
+    db.users.save(user);
     
     res.json({ 
       success: true, 
@@ -1199,14 +1824,15 @@ app.post('/api/gamification/:userId/check-in', (req, res) => {
   }
 });
 
-app.get('/api/gamification/:userId/achievements', (req, res) => {
+app.get('/api/gamification/:userId/achievements', validate(schemas.listAchievements), (req, res) => {
   try {
-    const user = users.find(u => u.id === req.params.userId);
+    const user = db.users.findById(req.params.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
     const gamification = initializeGamification(user);
+    db.users.save(user);
     res.json({ success: true, achievements: gamification.achievements });
   } catch (error) {
     console.error('Error fetching achievements:', error);
@@ -1214,10 +1840,10 @@ app.get('/api/gamification/:userId/achievements', (req, res) => {
   }
 });
 
-app.post('/api/gamification/:userId/unlock-achievement', (req, res) => {
+app.post('/api/gamification/:userId/unlock-achievement', validate(schemas.unlockAchievement), (req, res) => {
   try {
     const { achievementId } = req.body;
-    const user = users.find(u => u.id === req.params.userId);
+    const user = db.users.findById(req.params.userId);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -1229,6 +1855,7 @@ app.post('/api/gamification/:userId/unlock-achievement', (req, res) => {
       gamification.achievements.push(achievementId);
       gamification.xp += 50; // Achievement unlock bonus
     }
+    db.users.save(user);
     
     res.json({ success: true, gamification });
   } catch (error) {
@@ -1237,10 +1864,10 @@ app.post('/api/gamification/:userId/unlock-achievement', (req, res) => {
   }
 });
 
-app.put('/api/gamification/:userId/update-stats', (req, res) => {
+app.put('/api/gamification/:userId/update-stats', validate(schemas.updateStats), (req, res) => {
   try {
     const { stats, streaks } = req.body;
-    const user = users.find(u => u.id === req.params.userId);
+    const user = db.users.findById(req.params.userId);
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -1258,6 +1885,7 @@ app.put('/api/gamification/:userId/update-stats', (req, res) => {
     
     gamification.stats.lastActivityDate = new Date().toISOString();
     updateHPMP(gamification);
+    db.users.save(user);
     
     res.json({ success: true, gamification });
   } catch (error) {
@@ -0,0 +1,22 @@
+// Resolves the caller from the `Authorization: Bearer <accessToken>` header
+// and attaches the stored user as req.user. Responds 401 when missing/invalid.
+const createAuthenticate = (db, authService) => (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const payload = authService.verifyAccessToken(token);
+  const user = payload && db.users.findById(payload.sub);
+
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  req.user = user;
+  next();
+};
+
+module.exports = createAuthenticate;
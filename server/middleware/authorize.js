@@ -0,0 +1,25 @@
+// Ownership checks for routes carrying :userId or :imageId.
+// Registered through app.param so every matching route is covered; they rely
+// on `authenticate` having already set req.user.
+const createAuthorize = (db) => ({
+  ownsUserParam: (req, res, next, userId) => {
+    if (!req.user || req.user.id !== userId) {
+      return res.status(403).json({ error: 'You do not have access to this account' });
+    }
+    next();
+  },
+
+  ownsImage: (req, res, next, imageId) => {
+    const image = db.images.findById(imageId);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    if (!req.user || image.userId !== req.user.id) {
+      return res.status(403).json({ error: 'You do not have access to this image' });
+    }
+    req.image = image;
+    next();
+  }
+});
+
+module.exports = createAuthorize;
@@ -0,0 +1,47 @@
+// Fixed-window request throttling kept in process memory.
+// Each limiter counts hits per key (the client IP by default) and answers 429
+// with a Retry-After header once `max` is reached inside `windowMs`. Counters
+// reset on restart, which is acceptable for a single server instance.
+const createRateLimiter = ({
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests. Please try again later.'
+}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow with every client ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(0, max - entry.count));
+    res.setHeader('RateLimit-Reset', retryAfter);
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ success: false, error: message, retryAfter });
+    }
+    next();
+  };
+};
+
+module.exports = createRateLimiter;
@@ -0,0 +1,55 @@
+// Declarative request validation against the schemas in validation/schemas.js.
+// Failing requests get a 400 listing every problem per field, e.g.
+//   { success: false, error: 'Invalid request', fieldErrors: { email: ['Enter a valid email address'] } }
+// Parsed values replace req.params/query/body, so handlers only ever see
+// trimmed, defaulted data with unknown keys stripped.
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+const collectFieldErrors = (issues, fieldErrors = {}) => {
+  issues.forEach(issue => {
+    const field = issue.path.join('.') || '_';
+    (fieldErrors[field] = fieldErrors[field] || []).push(issue.message);
+  });
+  return fieldErrors;
+};
+
+// Responses are only checked outside production; a mismatch is logged, never sent
+const checkResponses = (schema, req, res) => {
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    if (res.statusCode < 400) {
+      const result = schema.safeParse(payload);
+      if (!result.success) {
+        console.warn(`⚠️ Response for ${req.method} ${req.originalUrl} does not match its schema:`,
+          collectFieldErrors(result.error.issues));
+      }
+    }
+    return json(payload);
+  };
+};
+
+const validate = (schema) => (req, res, next) => {
+  const fieldErrors = {};
+
+  REQUEST_PARTS.forEach(part => {
+    if (!schema[part]) return;
+    const result = schema[part].safeParse(req[part] || {});
+    if (result.success) {
+      // req.query is a getter in newer Express versions, so redefine it
+      Object.defineProperty(req, part, { value: result.data, writable: true, configurable: true, enumerable: true });
+    } else {
+      collectFieldErrors(result.error.issues, fieldErrors);
+    }
+  });
+
+  if (Object.keys(fieldErrors).length > 0) {
+    return res.status(400).json({ success: false, error: 'Invalid request', fieldErrors });
+  }
+
+  if (schema.response && process.env.NODE_ENV !== 'production') {
+    checkResponses(schema.response, req, res);
+  }
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,39 @@
+// Key rotation for encrypted scan records and image files. Stop the server
+// first - the file datastore expects a single writer.
+//
+//   npm run rotate-keys                 rewrap every data key with the active master key
+//   npm run rotate-keys -- --data-keys  also give every user a new data key and re-encrypt their scans
+const { createDatabase } = require('../db');
+const { loadMasterKeys } = require('../config/encryption');
+const { createEnvelopeEncryption } = require('../services/envelopeEncryption');
+const { createImageFiles } = require('../services/imageFiles');
+const { createStorage } = require('../storage');
+const { createBlockchainStorage } = require('../blockchain');
+const cloudinary = require('../config/cloudinary');
+
+const db = createDatabase();
+const encryption = createEnvelopeEncryption({ db, masterKeys: loadMasterKeys() });
+const imageFiles = createImageFiles({ storage: createStorage(), encryption, cloudinary });
+const blockchain = createBlockchainStorage({ db, encryption, files: imageFiles, anchor: null });
+
+const run = async () => {
+  const rewrapped = encryption.rewrapDataKeys();
+  console.log(`🔐 Rewrapped ${rewrapped} data key(s) with master key "${encryption.activeMasterKeyId}"`);
+
+  const sealed = blockchain.sealPlaintextImages();
+  if (sealed > 0) {
+    console.log(`🔐 Encrypted ${sealed} previously unencrypted scan(s)`);
+  }
+
+  if (process.argv.includes('--data-keys')) {
+    for (const user of db.users.all()) {
+      const count = await blockchain.rotateUserKey(user.id);
+      console.log(`🔐 Rotated data key for user ${user.id} (${count} scan(s) re-encrypted)`);
+    }
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Key rotation failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+/**
+ * Account Deletion - scheduled, cascading removal of a user and their data
+ *
+ * Deletion requests are not immediate: the account is marked with
+ * deletionScheduledAt and stays usable (so the user can change their mind)
+ * until the grace period runs out. purgeDueAccounts() then removes the user,
+ * their scans (including the stored image files), lesions, medications, chat history,
+ * gamification, outstanding tokens and their encryption keys - so any copy
+ * of the datastore that survives (e.g. a backup) can no longer be decrypted.
+ */
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 14);
+
+const createAccountDeletion = ({ db, imageFiles, encryption }) => {
+  const scheduleDeletion = (user) => {
+    const deletionScheduledAt = new Date(Date.now() + GRACE_DAYS * DAY_MS).toISOString();
+    db.users.update(user.id, { deletionScheduledAt });
+    return deletionScheduledAt;
+  };
+
+  const cancelDeletion = (user) => {
+    db.users.update(user.id, { deletionScheduledAt: null });
+  };
+
+  const removeImageFile = async (image) => {
+    try {
+      await imageFiles.remove(image);
+    } catch (error) {
+      // Keep going - a stray stored file shouldn't block deleting the account,
+      // and without the user's keys it can't be decrypted anyway
+      console.warn(`⚠️ Could not delete the file for image ${image.id}:`, error.message);
+    }
+  };
+
+  // Remove a user and everything that belongs to them, right now
+  const purgeUser = async (user) => {
+    const userImages = db.images.filter(img => img.userId === user.id);
+    for (const image of userImages) {
+      await removeImageFile(image);
+    }
+
+    const removed = {
+      images: db.images.removeWhere(img => img.userId === user.id),
+      lesions: db.lesions.removeWhere(l => l.userId === user.id),
+      medications: db.medications.removeWhere(m => m.userId === user.id),
+      chatHistory: db.chatHistory.removeWhere(c => c.userId === user.id),
+      refreshTokens: db.refreshTokens.removeWhere(t => t.userId === user.id),
+      verificationTokens: db.verificationTokens.removeWhere(t => t.userId === user.id),
+      dataKeys: encryption ? encryption.destroyKeys(user.id) : 0
+    };
+    // Gamification lives on the user record and goes with it
+    db.users.remove(user.id);
+
+    console.log(`🗑️ Purged account ${user.id}:`, removed);
+    return removed;
+  };
+
+  const purgeDueAccounts = async () => {
+    const now = new Date();
+    const due = db.users.filter(u => u.deletionScheduledAt && new Date(u.deletionScheduledAt) <= now);
+    for (const user of due) {
+      await purgeUser(user);
+    }
+    return due.length;
+  };
+
+  return { scheduleDeletion, cancelDeletion, purgeUser, purgeDueAccounts, GRACE_DAYS };
+};
+
+module.exports = { createAccountDeletion };
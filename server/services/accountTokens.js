@@ -0,0 +1,60 @@
+/**
+ * Account Tokens - single-use, expiring tokens for emailed links
+ * (password reset, email verification).
+ *
+ * Only a SHA-256 of each token is stored, so a leaked datastore can't be
+ * used to reset anyone's password. Issuing a new token for the same purpose
+ * invalidates the previous one.
+ */
+const crypto = require('crypto');
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password-reset',
+  EMAIL_VERIFICATION: 'email-verification'
+};
+
+const TTL_MS = {
+  [PURPOSES.PASSWORD_RESET]: 60 * 60 * 1000, // 1 hour
+  [PURPOSES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createAccountTokens = (db) => {
+  const issue = (userId, purpose) => {
+    db.verificationTokens.removeWhere(t => t.userId === userId && t.purpose === purpose);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    db.verificationTokens.insert({
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TTL_MS[purpose]).toISOString(),
+      createdAt: new Date()
+    });
+    return token;
+  };
+
+  // Returns the owning userId and deletes the token, or null if it is
+  // unknown, expired or issued for a different purpose
+  const consume = (token, purpose) => {
+    if (!token) return null;
+    const record = db.verificationTokens.find(
+      t => t.tokenHash === hashToken(token) && t.purpose === purpose
+    );
+    if (!record) return null;
+
+    db.verificationTokens.remove(record.id);
+    if (new Date(record.expiresAt) < new Date()) return null;
+    return record.userId;
+  };
+
+  const pruneExpired = () => {
+    const now = new Date();
+    return db.verificationTokens.removeWhere(t => new Date(t.expiresAt) < now);
+  };
+
+  return { issue, consume, pruneExpired };
+};
+
+module.exports = { PURPOSES, createAccountTokens };
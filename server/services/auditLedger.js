@@ -0,0 +1,196 @@
+/**
+ * Audit Ledger - append-only, hash-chained log of scan and report events.
+ *
+ * Every entry stores the SHA-256 of the content it vouches for (never the
+ * content itself) and the hash of the entry before it, so rewriting or
+ * dropping any past entry breaks every hash after it. Entries are also
+ * grouped per UTC day: once a day is over its entries are sealed into a
+ * Merkle root, which is small enough to publish elsewhere, and any single
+ * entry can be proven to be part of that day with a short inclusion proof.
+ *
+ * Entries only reference users by id, so they are kept when an account is
+ * purged - removing them would break the chain for everyone else.
+ */
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const EVENTS = {
+  IMAGE_UPLOADED: 'image.uploaded',
+  IMAGE_UPDATED: 'image.updated',
+  IMAGE_ANALYZED: 'image.analyzed',
+  IMAGE_DELETED: 'image.deleted',
+  REPORT_GENERATED: 'report.generated'
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// JSON with sorted keys, so the same value always hashes the same way
+const canonicalJson = (value) => {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprint = (value) => sha256(canonicalJson(value));
+
+const entryHash = (entry) => fingerprint({
+  seq: entry.seq,
+  type: entry.type,
+  userId: entry.userId,
+  subjectId: entry.subjectId,
+  contentHash: entry.contentHash,
+  timestamp: entry.timestamp,
+  prevHash: entry.prevHash
+});
+
+const hashPair = (left, right) => sha256(Buffer.concat([Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]));
+
+// Merkle root over hex leaf hashes; an odd node at any level is paired with itself
+const merkleRoot = (leaves) => {
+  if (leaves.length === 0) return null;
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hashPair(level[i], level[i + 1] || level[i]));
+    }
+    level = next;
+  }
+  return level[0];
+};
+
+// Sibling hashes from a leaf up to the root
+const merkleProof = (leaves, index) => {
+  const proof = [];
+  let level = leaves;
+  let position = index;
+  while (level.length > 1) {
+    const isRight = position % 2 === 1;
+    const sibling = isRight ? level[position - 1] : (level[position + 1] || level[position]);
+    proof.push({ position: isRight ? 'left' : 'right', hash: sibling });
+
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hashPair(level[i], level[i + 1] || level[i]));
+    }
+    level = next;
+    position = Math.floor(position / 2);
+  }
+  return proof;
+};
+
+const verifyMerkleProof = (leaf, proof, root) => root === proof.reduce(
+  (hash, step) => (step.position === 'left' ? hashPair(step.hash, hash) : hashPair(hash, step.hash)),
+  leaf
+);
+
+const dayOf = (timestamp) => timestamp.slice(0, 10);
+
+const createAuditLedger = (db) => {
+  const entries = () => db.ledgerEntries.all();
+
+  const append = ({ type, userId, subjectId, contentHash }) => {
+    const all = entries();
+    const previous = all[all.length - 1];
+    const timestamp = new Date().toISOString();
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      type,
+      userId,
+      subjectId,
+      contentHash,
+      timestamp,
+      day: dayOf(timestamp),
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = entryHash(entry);
+    return db.ledgerEntries.insert(entry);
+  };
+
+  // Walk the chain up to `uptoSeq`, returning the first broken entry if any
+  const verifyChain = (uptoSeq = Infinity) => {
+    let prevHash = GENESIS_HASH;
+    for (const [index, entry] of entries().entries()) {
+      if (entry.seq > uptoSeq) break;
+      if (entry.seq !== index + 1 || entry.prevHash !== prevHash || entry.hash !== entryHash(entry)) {
+        return { intact: false, brokenAt: entry.seq };
+      }
+      prevHash = entry.hash;
+    }
+    return { intact: true };
+  };
+
+  const entriesForDay = (day) => entries().filter(e => e.day === day);
+
+  // Seal every finished day that has entries but no root yet
+  const sealCompletedDays = () => {
+    const today = dayOf(new Date().toISOString());
+    const days = [...new Set(entries().map(e => e.day))]
+      .filter(day => day < today && !db.ledgerRoots.find(r => r.day === day));
+
+    return days.map(day => {
+      const dayEntries = entriesForDay(day);
+      return db.ledgerRoots.insert({
+        day,
+        root: merkleRoot(dayEntries.map(e => e.hash)),
+        entryCount: dayEntries.length,
+        firstSeq: dayEntries[0].seq,
+        lastSeq: dayEntries[dayEntries.length - 1].seq,
+        sealedAt: new Date().toISOString()
+      });
+    });
+  };
+
+  // Inclusion proof for an entry against its day's root. Days still in
+  // progress are proven against a provisional root that will keep changing.
+  const proveEntry = (entry) => {
+    const dayEntries = entriesForDay(entry.day);
+    const leaves = dayEntries.map(e => e.hash);
+    const index = dayEntries.findIndex(e => e.seq === entry.seq);
+    const sealed = db.ledgerRoots.find(r => r.day === entry.day);
+    const root = sealed ? sealed.root : merkleRoot(leaves);
+    const proof = merkleProof(leaves, index);
+
+    return {
+      day: entry.day,
+      root,
+      status: sealed ? 'sealed' : 'pending',
+      // Set once the sealed root has been published on-chain (see blockchain.js)
+      anchor: (sealed && sealed.anchor && sealed.anchor.status === 'confirmed') ? sealed.anchor : null,
+      proof,
+      valid: index !== -1 && verifyMerkleProof(entry.hash, proof, root)
+    };
+  };
+
+  const latestFor = (subjectId, types) => {
+    const matching = entries().filter(e => e.subjectId === subjectId && types.includes(e.type));
+    return matching[matching.length - 1] || null;
+  };
+
+  const findByContentHash = (contentHash, filter = () => true) =>
+    entries().find(e => e.contentHash === contentHash && filter(e)) || null;
+
+  return {
+    append,
+    verifyChain,
+    sealCompletedDays,
+    proveEntry,
+    latestFor,
+    findByContentHash
+  };
+};
+
+module.exports = {
+  createAuditLedger,
+  EVENTS,
+  fingerprint,
+  sha256,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof
+};
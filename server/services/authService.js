@@ -0,0 +1,120 @@
+/**
+ * Auth Service - password hashing and JWT session tokens
+ *
+ * Access tokens are short-lived and sent on every request.
+ * Refresh tokens are long-lived, tracked in db.refreshTokens by their jti,
+ * and rotated on every use so a stolen token can only be replayed once.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const BCRYPT_ROUNDS = 10;
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    // Without a configured secret every restart invalidates all sessions
+    console.warn('⚠️ JWT_SECRET not set, using a random per-process secret');
+    process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const verifyPassword = (password, passwordHash) => {
+  if (!password || !passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(password, passwordHash);
+};
+
+const createAuthService = (db) => {
+  const secret = getSecret();
+
+  const signAccessToken = (user) => jwt.sign(
+    { sub: user.id, type: 'access' },
+    secret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const signRefreshToken = (user) => {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+      { sub: user.id, type: 'refresh', jti },
+      secret,
+      { expiresIn: REFRESH_TOKEN_TTL }
+    );
+    const { exp } = jwt.decode(token);
+    db.refreshTokens.insert({
+      id: jti,
+      userId: user.id,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      createdAt: new Date()
+    });
+    return token;
+  };
+
+  // Issue a fresh access + refresh token pair for a user
+  const issueTokens = (user) => ({
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user),
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+  // Returns the token payload, or null if it is invalid or not an access token
+  const verifyAccessToken = (token) => {
+    try {
+      const payload = jwt.verify(token, secret);
+      return payload.type === 'access' ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Exchange a refresh token for a new pair, revoking the old one
+  const rotateRefreshToken = (token) => {
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (error) {
+      return null;
+    }
+    if (payload.type !== 'refresh' || !db.refreshTokens.findById(payload.jti)) {
+      return null;
+    }
+
+    db.refreshTokens.remove(payload.jti);
+    const user = db.users.findById(payload.sub);
+    if (!user) return null;
+
+    return { user, tokens: issueTokens(user) };
+  };
+
+  const revokeRefreshToken = (token) => {
+    const payload = jwt.decode(token);
+    if (payload && payload.jti) {
+      db.refreshTokens.remove(payload.jti);
+    }
+  };
+
+  const revokeAllForUser = (userId) => db.refreshTokens.removeWhere(t => t.userId === userId);
+
+  // Drop expired refresh tokens so the collection doesn't grow forever
+  const pruneExpiredTokens = () => {
+    const now = new Date();
+    return db.refreshTokens.removeWhere(t => new Date(t.expiresAt) < now);
+  };
+
+  return {
+    issueTokens,
+    verifyAccessToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllForUser,
+    pruneExpiredTokens
+  };
+};
+
+module.exports = { hashPassword, verifyPassword, createAuthService };
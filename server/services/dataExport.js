@@ -0,0 +1,126 @@
+/**
+ * Data Export - "download my data" bundle
+ *
+ * Packages everything we hold about a user into a zip:
+ *
+ *   manifest.json          format/version, export time, and a sha256 + size for every file
+ *   profile.json           account details and connected sign-in methods
+ *   quiz-answers.json      onboarding questionnaire
+ *   scans/scans.json       every scan with its analysis and the path of its image
+ *   scans/images/<id>.<ext>
+ *   lesions.json           tracked spots; scans point to them by lesionId
+ *   medications.json       medications including the takenToday history
+ *   chat-history.json
+ *   gamification.json
+ */
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { serializeUser, serializeAuthMethods } = require('../utils/serializers');
+
+const EXPORT_FORMAT = 'skinguard-data-export';
+const EXPORT_VERSION = 1;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Image bytes for a scan, or null (with a warning) if they can't be read
+const loadImageBytes = async (image, readImage) => {
+  try {
+    return await readImage(image);
+  } catch (error) {
+    console.warn(`⚠️ Could not read image ${image.id} for export:`, error.message);
+    return null;
+  }
+};
+
+// Collect every file that goes into the bundle as { path, content }.
+// `openImage` turns a stored (encrypted) scan record into plaintext and
+// `readImage` returns its image as { buffer, contentType }.
+const collectExportFiles = async (db, user, { openImage, readImage }) => {
+  const files = [];
+  const userImages = db.images.filter(img => img.userId === user.id).map(openImage);
+
+  const scans = [];
+  for (const image of userImages) {
+    const bytes = await loadImageBytes(image, readImage);
+    let file = null;
+    if (bytes) {
+      file = `scans/images/${image.id}.${EXTENSIONS[bytes.contentType] || 'bin'}`;
+      files.push({ path: file, content: bytes.buffer });
+    }
+
+    // Storage details (locators, encryption envelopes) stay out of the export
+    const { cloudinaryUrl, cloudinaryPublicId, file: storedFile, ...metadata } = image;
+    scans.push({
+      ...metadata,
+      file,
+      // Keep a pointer to remote copies we couldn't download
+      sourceUrl: !file && cloudinaryUrl && !cloudinaryUrl.startsWith('data:') ? cloudinaryUrl : undefined
+    });
+  }
+
+  const lesions = db.lesions.filter(l => l.userId === user.id);
+  const medications = db.medications.filter(m => m.userId === user.id);
+  const chatHistory = db.chatHistory.filter(c => c.userId === user.id);
+
+  files.push(
+    { path: 'profile.json', content: toJson({ ...serializeUser(user), authMethods: serializeAuthMethods(user) }) },
+    { path: 'quiz-answers.json', content: toJson(user.quizAnswers || null) },
+    { path: 'scans/scans.json', content: toJson(scans) },
+    { path: 'lesions.json', content: toJson(lesions) },
+    { path: 'medications.json', content: toJson(medications) },
+    { path: 'chat-history.json', content: toJson(chatHistory) },
+    { path: 'gamification.json', content: toJson(user.gamification || null) }
+  );
+
+  return {
+    files,
+    counts: { scans: scans.length, lesions: lesions.length, medications: medications.length, chatMessages: chatHistory.length }
+  };
+};
+
+const buildManifest = (user, files, counts) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  userId: user.id,
+  counts,
+  files: files.map(({ path, content }) => {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    return {
+      path,
+      bytes: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+  })
+});
+
+// Gather all files and the manifest for a user's export
+const buildUserExport = async (db, user, { openImage = image => image, readImage = async () => null } = {}) => {
+  const { files, counts } = await collectExportFiles(db, user, { openImage, readImage });
+  return { manifest: buildManifest(user, files, counts), files };
+};
+
+// Stream a built export as a zip into a writable (usually the response)
+const writeExportZip = async ({ manifest, files }, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+
+  archive.pipe(output);
+  archive.append(toJson(manifest), { name: 'manifest.json' });
+  files.forEach(({ path, content }) => archive.append(content, { name: path }));
+  await archive.finalize();
+  return finished;
+};
+
+module.exports = { buildUserExport, writeExportZip, EXPORT_FORMAT, EXPORT_VERSION };
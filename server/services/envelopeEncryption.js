@@ -0,0 +1,185 @@
+/**
+ * Envelope Encryption - AES-256-GCM with per-user data keys.
+ *
+ * Every user gets a random data key. Record fields are encrypted with it, and
+ * the data key itself is stored only in wrapped form (AES-256-GCM under a
+ * master key from config/encryption.js). That gives us:
+ *
+ *   - master key rotation without touching records: rewrapDataKeys()
+ *   - data key rotation per user: rotateDataKey() issues a new active key;
+ *     callers re-encrypt, then dropDataKey() deletes the old one
+ *   - crypto-shredding: destroyKeys() makes a user's ciphertext unreadable
+ *
+ * Each envelope is bound to a context string (e.g. "<userId>:<imageId>:notes")
+ * as additional authenticated data, so ciphertext can't be moved between
+ * records or fields without failing authentication.
+ *
+ * Files (scan images) use the same keys through encryptBuffer(), which keeps
+ * the ciphertext out of the envelope so it can be stored elsewhere.
+ */
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: ciphertext.toString('base64')
+  };
+};
+
+const unseal = (key, { iv, tag, data }, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+};
+
+const isEnvelope = (value) => Boolean(
+  value && typeof value === 'object' && value.alg === ALGORITHM && value.keyId && value.data
+);
+
+const createEnvelopeEncryption = ({ db, masterKeys }) => {
+  if (!masterKeys || masterKeys.length === 0) {
+    throw new Error('At least one master key is required');
+  }
+  const [activeMasterKey] = masterKeys;
+  const masterKeysById = new Map(masterKeys.map(k => [k.id, k.key]));
+
+  // Unwrapped data keys, cached by data key id
+  const keyCache = new Map();
+
+  const wrapKey = (dataKey) => ({
+    masterKeyId: activeMasterKey.id,
+    ...seal(activeMasterKey.key, dataKey, 'data-key')
+  });
+
+  const unwrapKey = (record) => {
+    if (keyCache.has(record.id)) return keyCache.get(record.id);
+
+    const masterKey = masterKeysById.get(record.masterKeyId);
+    if (!masterKey) {
+      throw new Error(`Master key "${record.masterKeyId}" is not configured`);
+    }
+    const dataKey = unseal(masterKey, record.wrapped, 'data-key');
+    keyCache.set(record.id, dataKey);
+    return dataKey;
+  };
+
+  const createDataKey = (userId) => {
+    const dataKey = crypto.randomBytes(32);
+    const { masterKeyId, ...wrapped } = wrapKey(dataKey);
+    const record = db.dataKeys.insert({
+      userId,
+      masterKeyId,
+      wrapped,
+      status: 'active',
+      createdAt: new Date().toISOString()
+    });
+    keyCache.set(record.id, dataKey);
+    return record;
+  };
+
+  const activeKeyFor = (userId) =>
+    db.dataKeys.find(k => k.userId === userId && k.status === 'active') || createDataKey(userId);
+
+  const encrypt = (userId, value, context) => {
+    const keyRecord = activeKeyFor(userId);
+    return {
+      alg: ALGORITHM,
+      keyId: keyRecord.id,
+      ...seal(unwrapKey(keyRecord), Buffer.from(JSON.stringify(value)), context)
+    };
+  };
+
+  const dataKeyFor = (userId, keyId) => {
+    const keyRecord = db.dataKeys.findById(keyId);
+    if (!keyRecord || keyRecord.userId !== userId) {
+      throw new Error('Data key not found for this record');
+    }
+    return unwrapKey(keyRecord);
+  };
+
+  const decrypt = (userId, envelope, context) =>
+    JSON.parse(unseal(dataKeyFor(userId, envelope.keyId), envelope, context).toString('utf8'));
+
+  // Encrypt raw bytes; returns the envelope (without data) and the ciphertext
+  const encryptBuffer = (userId, buffer, context) => {
+    const keyRecord = activeKeyFor(userId);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, unwrapKey(keyRecord), iv);
+    cipher.setAAD(Buffer.from(context));
+    const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+    return {
+      envelope: {
+        alg: ALGORITHM,
+        keyId: keyRecord.id,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+      },
+      ciphertext
+    };
+  };
+
+  // Transform stream turning ciphertext from encryptBuffer() back into bytes.
+  // GCM can only authenticate once all data has passed through, so tampering
+  // surfaces as an 'error' event at the end of the stream.
+  const createDecryptStream = (userId, envelope, context) => {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      dataKeyFor(userId, envelope.keyId),
+      Buffer.from(envelope.iv, 'base64')
+    );
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return decipher;
+  };
+
+  // Wrap every data key with the active master key (run after adding a new one)
+  const rewrapDataKeys = () => {
+    const stale = db.dataKeys.filter(k => k.masterKeyId !== activeMasterKey.id);
+    stale.forEach(record => {
+      const { masterKeyId, ...wrapped } = wrapKey(unwrapKey(record));
+      db.dataKeys.update(record.id, { masterKeyId, wrapped });
+    });
+    return stale.length;
+  };
+
+  // Start a new active data key; the previous one stays readable until retired
+  const rotateDataKey = (userId) => {
+    const previous = db.dataKeys.filter(k => k.userId === userId && k.status === 'active');
+    previous.forEach(k => db.dataKeys.update(k.id, { status: 'retired' }));
+    const next = createDataKey(userId);
+    return { next, previous };
+  };
+
+  const dropDataKey = (keyId) => {
+    keyCache.delete(keyId);
+    return db.dataKeys.remove(keyId);
+  };
+
+  const destroyKeys = (userId) => {
+    db.dataKeys.filter(k => k.userId === userId).forEach(k => keyCache.delete(k.id));
+    return db.dataKeys.removeWhere(k => k.userId === userId);
+  };
+
+  return {
+    activeMasterKeyId: activeMasterKey.id,
+    encrypt,
+    decrypt,
+    encryptBuffer,
+    createDecryptStream,
+    rewrapDataKeys,
+    rotateDataKey,
+    dropDataKey,
+    destroyKeys
+  };
+};
+
+module.exports = { createEnvelopeEncryption, isEnvelope };
@@ -0,0 +1,95 @@
+/**
+ * Facebook Auth - server-side verification of Facebook access tokens
+ *
+ * The client-side SDK hands us an access token and a userID; neither can be
+ * trusted on its own. The Graph API adapter asks Facebook who the token
+ * really belongs to (debug_token) and reads the profile with it.
+ *
+ * FACEBOOK_AUTH_ADAPTER=stub swaps in a local verifier for development and
+ * tests: it accepts tokens shaped `stub:<userID>:<email>` and never calls out.
+ */
+require('dotenv').config();
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+
+class FacebookAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FacebookAuthError';
+  }
+}
+
+const createGraphApiVerifier = ({ appId, appSecret }) => {
+  const getJson = async (url) => {
+    const response = await fetch(url);
+    const body = await response.json();
+    if (!response.ok || body.error) {
+      throw new FacebookAuthError(body.error?.message || `Graph API error ${response.status}`);
+    }
+    return body;
+  };
+
+  return {
+    name: 'graph-api',
+
+    async verify(accessToken) {
+      if (!appId || !appSecret) {
+        throw new FacebookAuthError('Facebook login is not configured on the server');
+      }
+
+      const appToken = `${appId}|${appSecret}`;
+      const debug = await getJson(
+        `${GRAPH_API_URL}/debug_token?input_token=${encodeURIComponent(accessToken)}&access_token=${encodeURIComponent(appToken)}`
+      );
+      const { data } = debug;
+
+      if (!data || !data.is_valid) {
+        throw new FacebookAuthError('Facebook token is invalid or expired');
+      }
+      if (String(data.app_id) !== String(appId)) {
+        throw new FacebookAuthError('Facebook token was issued for a different app');
+      }
+
+      const profile = await getJson(
+        `${GRAPH_API_URL}/me?fields=id,name,email,picture&access_token=${encodeURIComponent(accessToken)}`
+      );
+
+      return {
+        userId: String(data.user_id),
+        name: profile.name,
+        email: profile.email ? profile.email.toLowerCase() : null,
+        picture: profile.picture?.data?.url || null
+      };
+    }
+  };
+};
+
+const createStubVerifier = () => ({
+  name: 'stub',
+
+  async verify(accessToken) {
+    const [prefix, userId, email] = String(accessToken).split(':');
+    if (prefix !== 'stub' || !userId) {
+      throw new FacebookAuthError('Facebook token is invalid or expired');
+    }
+    return { userId, name: `Facebook User ${userId}`, email: email || null, picture: null };
+  }
+});
+
+const createFacebookVerifier = () => {
+  if (process.env.FACEBOOK_AUTH_ADAPTER === 'stub') {
+    console.warn('⚠️ Using stub Facebook verifier - do not enable in production');
+    return createStubVerifier();
+  }
+  return createGraphApiVerifier({
+    appId: process.env.FACEBOOK_APP_ID,
+    appSecret: process.env.FACEBOOK_APP_SECRET
+  });
+};
+
+module.exports = {
+  FacebookAuthError,
+  createGraphApiVerifier,
+  createStubVerifier,
+  createFacebookVerifier
+};
@@ -0,0 +1,223 @@
+/**
+ * Image Files - encrypted scan images on the configured storage backend
+ *
+ * Uploaded images are encrypted with the owner's data key before they reach
+ * storage (see storage/index.js), so no backend - local disk, S3, Cloudinary
+ * or IPFS - ever holds a readable scan. The scan record keeps a `file` entry:
+ *
+ *   { driver, key, contentType, size, sha256, encryption: { alg, keyId, iv, tag },
+ *     variants: { thumb: { key, contentType, size, sha256, encryption }, medium: { ... } } }
+ *
+ * `sha256` is the hash of the plaintext bytes; the original's is what the
+ * audit ledger vouches for, and each one doubles as an HTTP ETag.
+ *
+ * Scans uploaded before storage backends existed have no `file` and carry the
+ * image in `cloudinaryUrl` instead (a data URL or a public Cloudinary URL).
+ * Those are still readable here, so callers never need to tell them apart.
+ */
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+const sharp = require('sharp');
+const { StorageNotFoundError } = require('../storage');
+
+// Resized copies made at upload (longest edge, never enlarged); `full` is the original
+const VARIANTS = {
+  thumb: { width: 320, height: 320 },
+  medium: { width: 1024, height: 1024 }
+};
+const VARIANT_CONTENT_TYPE = 'image/webp';
+
+const resize = (buffer, { width, height }) => sharp(buffer)
+  .rotate() // apply EXIF orientation before it is stripped
+  .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+  .webp({ quality: 80 })
+  .toBuffer();
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Passes chunks through one step behind and only releases the last one when
+// the stream ends cleanly. GCM authenticates at the very end, so this keeps a
+// tampered file from ever reaching the client complete.
+const holdLastChunk = () => {
+  let held = null;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const previous = held;
+      held = chunk;
+      callback(null, previous || undefined);
+    },
+    flush(callback) {
+      callback(null, held || undefined);
+    }
+  });
+};
+
+// Returns { buffer, contentType } for a legacy scan, or null when it has no image
+const readLegacySource = async (image) => {
+  const source = image.cloudinaryUrl;
+  if (!source) return null;
+
+  const dataUrl = source.match(/^data:([^;]+);base64,(.*)$/);
+  if (dataUrl) {
+    return { buffer: Buffer.from(dataUrl[2], 'base64'), contentType: dataUrl[1] };
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Fetching ${source} failed with status ${response.status}`);
+  }
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: (response.headers.get('content-type') || '').split(';')[0]
+  };
+};
+
+const createImageFiles = ({ storage, encryption, cloudinary }) => {
+  // Variants get their own context, so they can't be swapped for one another
+  const fileContext = (image, variant = 'full') =>
+    `${image.userId}:${image.id}:file${variant === 'full' ? '' : `:${variant}`}`;
+  // Every write gets a fresh key, so a re-encrypted copy never overwrites the
+  // one the stored record still points to
+  const storageKey = (image) => `${image.userId}/${image.id}/${crypto.randomBytes(8).toString('hex')}`;
+
+  // Encrypt and store one set of bytes: { key, contentType, size, sha256, encryption }
+  const storeBytes = async (image, variant, buffer, contentType) => {
+    const { envelope, ciphertext } = encryption.encryptBuffer(image.userId, buffer, fileContext(image, variant));
+    return {
+      key: await storage.put(storageKey(image), ciphertext),
+      contentType,
+      size: buffer.length,
+      sha256: sha256(buffer),
+      encryption: envelope
+    };
+  };
+
+  // Resize and store every variant. Files sharp can't decode simply get none
+  // and are served at full size.
+  const storeVariants = async (image, buffer) => {
+    let resized;
+    try {
+      resized = await Promise.all(Object.values(VARIANTS).map(dimensions => resize(buffer, dimensions)));
+    } catch (error) {
+      console.warn(`⚠️ Could not create resized variants of image ${image.id}:`, error.message);
+      return {};
+    }
+
+    const variants = {};
+    for (const [index, variant] of Object.keys(VARIANTS).entries()) {
+      variants[variant] = await storeBytes(image, variant, resized[index], VARIANT_CONTENT_TYPE);
+    }
+    return variants;
+  };
+
+  // Encrypt and store an upload and its resized variants; returns the scan
+  // record's `file` entry. The record needs its id and userId set, as both
+  // are bound into the ciphertext.
+  const save = async (image, { buffer, mimetype }) => ({
+    driver: storage.name,
+    ...(await storeBytes(image, 'full', buffer, mimetype)),
+    variants: await storeVariants(image, buffer)
+  });
+
+  // Stored bytes behind a size, falling back to the original when there is no
+  // such variant; null for scans from before storage backends
+  const stored = (image, size = 'full') => {
+    if (!image.file) return null;
+    const variant = size !== 'full' && image.file.variants && image.file.variants[size];
+    return variant ? { variant: size, ...variant } : { variant: 'full', ...image.file };
+  };
+
+  // Plaintext stream of a scan's image: { stream, contentType, size }.
+  // Takes the decrypted scan record (blockchain.openImage).
+  const open = async (image, size = 'full') => {
+    if (!image.file) {
+      const legacy = await readLegacySource(image);
+      if (!legacy) {
+        throw new StorageNotFoundError(image.id);
+      }
+      return { stream: Readable.from([legacy.buffer]), contentType: legacy.contentType, size: legacy.buffer.length };
+    }
+
+    if (image.file.driver !== storage.name) {
+      throw new Error(`Image ${image.id} is stored with the "${image.file.driver}" driver, but storage is "${storage.name}"`);
+    }
+
+    const bytes = stored(image, size);
+    const source = await storage.get(bytes.key);
+    const decrypt = encryption.createDecryptStream(image.userId, bytes.encryption, fileContext(image, bytes.variant));
+    // Errors are passed on to the returned stream, where the caller sees them
+    const stream = pipeline(source, decrypt, holdLastChunk(), () => {});
+    return { stream, contentType: bytes.contentType, size: bytes.size };
+  };
+
+  // Whole image as { buffer, contentType }
+  const read = async (image, size = 'full') => {
+    const { stream, contentType } = await open(image, size);
+    return { buffer: await collect(stream), contentType };
+  };
+
+  // Every storage key a scan's files occupy
+  const storedKeys = (file) => [file.key, ...Object.values(file.variants || {}).map(variant => variant.key)];
+
+  // Scans stored before variants existed get them on first request. `persist`
+  // saves the updated record.
+  const ensureVariants = async (image, persist) => {
+    if (!image.file || image.file.variants) return false;
+
+    const { buffer } = await read(image);
+    image.file = { ...image.file, variants: await storeVariants(image, buffer) };
+    persist(image);
+    return true;
+  };
+
+  const remove = async (image) => {
+    if (image.file) {
+      for (const key of storedKeys(image.file)) {
+        await storage.remove(key);
+      }
+    } else if (image.cloudinaryPublicId) {
+      await cloudinary.uploader.destroy(image.cloudinaryPublicId);
+    }
+  };
+
+  // Re-encrypt a scan's image and variants under the owner's active data key
+  // (after rotateDataKey). `persist` saves the updated record; the old
+  // ciphertext is only removed once it has.
+  const reencrypt = async (image, persist) => {
+    if (!image.file) return false;
+
+    const previousKeys = storedKeys(image.file);
+    const restore = async (variant) => {
+      const { buffer, contentType } = await read(image, variant);
+      return storeBytes(image, variant, buffer, contentType);
+    };
+
+    const variants = {};
+    for (const variant of Object.keys(image.file.variants || {})) {
+      variants[variant] = await restore(variant);
+    }
+    image.file = {
+      ...image.file,
+      ...(await restore('full')),
+      ...(image.file.variants ? { variants } : {})
+    };
+    persist(image);
+
+    for (const key of previousKeys) {
+      await storage.remove(key);
+    }
+    return true;
+  };
+
+  return { save, stored, open, read, ensureVariants, remove, reencrypt };
+};
+
+module.exports = { createImageFiles };
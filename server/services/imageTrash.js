@@ -0,0 +1,47 @@
+/**
+ * Scan Trash - soft deletion of scans
+ *
+ * Deleting a scan only stamps it with deletedAt: it disappears from the
+ * timeline and reports but can be restored for IMAGE_TRASH_DAYS (30 by
+ * default). purgeExpired() then removes the record and its stored files for
+ * good, leaving an `image.deleted` entry in the audit ledger.
+ */
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_DAYS = Number(process.env.IMAGE_TRASH_DAYS || 30);
+
+const createImageTrash = ({ db, imageFiles, blockchain }) => {
+  const purgeAt = (image) =>
+    new Date(new Date(image.deletedAt).getTime() + TRASH_DAYS * DAY_MS).toISOString();
+
+  const moveToTrash = (image) => db.images.update(image.id, { deletedAt: new Date().toISOString() });
+
+  const restore = (image) => db.images.update(image.id, { deletedAt: null });
+
+  const trashedFor = (userId) => db.images.filter(img => img.userId === userId && img.deletedAt);
+
+  const purgeImage = async (image) => {
+    blockchain.recordDeletion(blockchain.openImage(image));
+    try {
+      await imageFiles.remove(image);
+    } catch (error) {
+      // The record goes regardless - the file is encrypted under the owner's key
+      console.warn(`⚠️ Could not delete the file for image ${image.id}:`, error.message);
+    }
+    db.images.remove(image.id);
+  };
+
+  const purgeExpired = async () => {
+    const now = new Date();
+    const due = db.images.filter(img => img.deletedAt && new Date(purgeAt(img)) <= now);
+    for (const image of due) {
+      await purgeImage(image);
+    }
+    return due.length;
+  };
+
+  return { moveToTrash, restore, trashedFor, purgeAt, purgeExpired, TRASH_DAYS };
+};
+
+module.exports = { createImageTrash };
@@ -0,0 +1,57 @@
+/**
+ * Login Lockout - progressive lockout after repeated failed password logins.
+ *
+ * Failures are counted on the user record so a lockout survives restarts.
+ * Once LOGIN_LOCKOUT_THRESHOLD consecutive failures are reached the account
+ * is locked for LOGIN_LOCKOUT_BASE_MINUTES, and every further failure doubles
+ * the lock up to LOGIN_LOCKOUT_MAX_MINUTES. A successful login or password
+ * reset clears the counter.
+ */
+const MINUTE_MS = 60 * 1000;
+
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const createLoginLockout = (db) => {
+  const threshold = readInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 5);
+  const baseMs = readInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 1) * MINUTE_MS;
+  const maxMs = readInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 60) * MINUTE_MS;
+
+  // Seconds until the account unlocks, or 0 when it can log in
+  const lockedFor = (user) => {
+    if (!user.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((new Date(user.lockedUntil) - Date.now()) / 1000));
+  };
+
+  const recordFailure = (user) => {
+    const failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    const changes = { failedLoginAttempts };
+
+    if (failedLoginAttempts >= threshold) {
+      const lockMs = Math.min(maxMs, baseMs * Math.pow(2, failedLoginAttempts - threshold));
+      changes.lockedUntil = new Date(Date.now() + lockMs).toISOString();
+    }
+
+    db.users.update(user.id, changes);
+    return lockedFor(user);
+  };
+
+  const reset = (user) => {
+    if (user.failedLoginAttempts || user.lockedUntil) {
+      db.users.update(user.id, { failedLoginAttempts: 0, lockedUntil: null });
+    }
+  };
+
+  return { lockedFor, recordFailure, reset };
+};
+
+// "3 minutes", "45 seconds" - used in lockout messages
+const describeWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+module.exports = { createLoginLockout, describeWait };
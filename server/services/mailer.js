@@ -0,0 +1,65 @@
+/**
+ * Mailer - pluggable outgoing email transport
+ *
+ * MAIL_TRANSPORT selects the backend:
+ *   - console (default): prints the message to the server log, nothing is sent.
+ *     Development only - the log would hold live reset and verification links,
+ *     so the server refuses to start with it when NODE_ENV=production.
+ *   - smtp: sends through SMTP_HOST/SMTP_PORT. For local development point it
+ *     at an SMTP catcher such as MailHog or Mailpit (localhost:1025).
+ */
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const DEFAULT_FROM = 'SkinGuard <no-reply@skinguard.local>';
+
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    console.log(`📧 [mail] To: ${to}\n   Subject: ${subject}\n   ${text.split('\n').join('\n   ')}`);
+    return { accepted: [to] };
+  }
+});
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    send({ to, subject, text, html }) {
+      return transporter.sendMail({
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text,
+        html
+      });
+    }
+  };
+};
+
+const createDefaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'smtp') {
+    return createSmtpTransport();
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT=smtp must be set in production - the console transport logs account links');
+  }
+  return createConsoleTransport();
+};
+
+const createMailer = (transport = createDefaultTransport()) => {
+  console.log(`📧 Mail transport: ${transport.name}`);
+  return transport;
+};
+
+module.exports = { createMailer, createConsoleTransport, createSmtpTransport };
@@ -0,0 +1,45 @@
+const { Readable } = require('stream');
+const { StorageNotFoundError } = require('../errors');
+
+// Stores files as private "raw" Cloudinary assets. Uploads are already
+// encrypted, so Cloudinary's image transformations don't apply - it is used
+// purely as a file host, and downloads go through short-lived signed URLs.
+const RAW_ASSET = { resource_type: 'raw', type: 'authenticated' };
+const DOWNLOAD_URL_TTL_SECONDS = 60;
+
+const createCloudinaryDriver = (cloudinary, { folder = 'skin-cancer-detection' } = {}) => ({
+  name: 'cloudinary',
+
+  // Resolves to the asset's public_id, which is what get/remove expect
+  async put(key, buffer) {
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        { ...RAW_ASSET, public_id: `${folder}/${key}`, overwrite: true },
+        (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+      );
+      uploadStream.end(buffer);
+    });
+    return result.public_id;
+  },
+
+  async get(publicId) {
+    const url = cloudinary.utils.private_download_url(publicId, '', {
+      ...RAW_ASSET,
+      expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS
+    });
+    const response = await fetch(url);
+    if (response.status === 404) {
+      throw new StorageNotFoundError(publicId);
+    }
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed with status ${response.status}`);
+    }
+    return Readable.fromWeb(response.body);
+  },
+
+  async remove(publicId) {
+    await cloudinary.uploader.destroy(publicId, { ...RAW_ASSET, invalidate: true });
+  }
+});
+
+module.exports = createCloudinaryDriver;
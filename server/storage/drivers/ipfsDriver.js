@@ -0,0 +1,46 @@
+const { Readable } = require('stream');
+
+// Stores files on an IPFS node through its HTTP API (e.g. a local Kubo
+// daemon). IPFS is content-addressed, so put() ignores the key and resolves
+// to the file's CID, and remove() only unpins - the node drops the blocks on
+// its next garbage collection. Content is encrypted before it gets here, but
+// anything added to a public node should still be treated as public.
+const CAT_TIMEOUT_MS = 30 * 1000;
+
+const createIpfsDriver = ({ url }) => {
+  // ipfs-http-client is ESM-only, so it's loaded on first use
+  let clientPromise = null;
+  const client = () => {
+    if (!clientPromise) {
+      clientPromise = import('ipfs-http-client').then(({ create }) => create({ url }));
+    }
+    return clientPromise;
+  };
+
+  return {
+    name: 'ipfs',
+
+    async put(key, buffer) {
+      const ipfs = await client();
+      const { cid } = await ipfs.add(buffer, { pin: true, cidVersion: 1 });
+      return cid.toString();
+    },
+
+    async get(cid) {
+      const ipfs = await client();
+      return Readable.from(ipfs.cat(cid, { timeout: CAT_TIMEOUT_MS }));
+    },
+
+    async remove(cid) {
+      const ipfs = await client();
+      try {
+        await ipfs.pin.rm(cid);
+      } catch (error) {
+        // Already unpinned - nothing left to do
+        if (!/not pinned/i.test(error.message)) throw error;
+      }
+    }
+  };
+};
+
+module.exports = createIpfsDriver;
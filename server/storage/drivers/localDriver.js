@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { StorageNotFoundError } = require('../errors');
+
+// Keeps files on local disk under `rootDir`, one file per key.
+// Like the datastore's file driver, writes go to a temp file that is renamed
+// into place so a crash never leaves a half-written file behind.
+const createLocalDriver = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keys come from our own ids, but never let one escape the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer, { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+      return key;
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        throw new StorageNotFoundError(key);
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalDriver;
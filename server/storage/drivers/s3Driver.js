@@ -0,0 +1,52 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { StorageNotFoundError } = require('../errors');
+
+// Any S3-compatible object store: AWS S3, or MinIO/Ceph/R2 through `endpoint`
+// (those usually also need forcePathStyle).
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    // Without explicit keys the SDK falls back to its usual credential chain
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, buffer) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: 'application/octet-stream'
+      }));
+      return key;
+    },
+
+    async get(key) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
+          throw new StorageNotFoundError(key);
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+};
+
+module.exports = createS3Driver;
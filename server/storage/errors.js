@@ -0,0 +1,10 @@
+// Raised by storage drivers when a key has no stored object behind it
+class StorageNotFoundError extends Error {
+  constructor(key) {
+    super(`No stored file for "${key}"`);
+    this.name = 'StorageNotFoundError';
+    this.key = key;
+  }
+}
+
+module.exports = { StorageNotFoundError };
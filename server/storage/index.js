@@ -0,0 +1,70 @@
+const path = require('path');
+const createLocalDriver = require('./drivers/localDriver');
+const createS3Driver = require('./drivers/s3Driver');
+const createCloudinaryDriver = require('./drivers/cloudinaryDriver');
+const createIpfsDriver = require('./drivers/ipfsDriver');
+const { StorageNotFoundError } = require('./errors');
+require('dotenv').config();
+
+// Image file storage. Every driver has the same shape:
+//
+//   name                  recorded on each stored file
+//   put(key, buffer)      store bytes, resolving to the locator to keep (the key
+//                         itself, a Cloudinary public_id or an IPFS CID)
+//   get(locator)          a readable stream of the bytes, or StorageNotFoundError
+//   remove(locator)       delete (or unpin) the bytes
+//
+// Drivers only ever see ciphertext - see services/imageFiles.js.
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', '..', 'data', 'uploads');
+
+const hasCloudinaryConfig = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
+
+// Pick a driver from STORAGE_DRIVER (local, s3, cloudinary or ipfs). Without
+// it, Cloudinary is used when configured and local disk otherwise; local files
+// live in STORAGE_DIR, or an uploads/ folder next to DATA_FILE.
+const createStorageFromEnv = () => {
+  const driver = process.env.STORAGE_DRIVER || (hasCloudinaryConfig() ? 'cloudinary' : 'local');
+
+  switch (driver) {
+    case 'local':
+      return createLocalDriver(process.env.STORAGE_DIR ||
+        (process.env.DATA_FILE ? path.join(path.dirname(process.env.DATA_FILE), 'uploads') : DEFAULT_STORAGE_DIR));
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.S3_PREFIX
+      });
+    case 'cloudinary':
+      if (!hasCloudinaryConfig()) {
+        throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required for the cloudinary storage driver');
+      }
+      return createCloudinaryDriver(require('../config/cloudinary'));
+    case 'ipfs':
+      return createIpfsDriver({ url: process.env.IPFS_API_URL || 'http://127.0.0.1:5001/api/v0' });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (use local, s3, cloudinary or ipfs)`);
+  }
+};
+
+const createStorage = (driver = createStorageFromEnv()) => {
+  console.log(`🗂️  Image storage ready (${driver.name})`);
+  return driver;
+};
+
+module.exports = {
+  createStorage,
+  createLocalDriver,
+  createS3Driver,
+  createCloudinaryDriver,
+  createIpfsDriver,
+  StorageNotFoundError
+};
@@ -0,0 +1,24 @@
+// Plain-text bodies for account emails. Links point at the React client.
+require('dotenv').config();
+
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Verify your SkinGuard email',
+  text: `Hi ${user.name || 'there'},\n\n` +
+    `Please confirm your email address by opening the link below:\n\n` +
+    `${clientUrl()}/verify-email?token=${token}\n\n` +
+    `The link expires in 24 hours. If you didn't create a SkinGuard account, you can ignore this email.`
+});
+
+const passwordResetEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Reset your SkinGuard password',
+  text: `Hi ${user.name || 'there'},\n\n` +
+    `Someone asked to reset the password for your SkinGuard account. Open the link below to choose a new one:\n\n` +
+    `${clientUrl()}/reset-password?token=${token}\n\n` +
+    `The link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.`
+});
+
+module.exports = { verificationEmail, passwordResetEmail };
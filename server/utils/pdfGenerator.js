@@ -2,7 +2,30 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 
-async function generatePDF(user, images, outputPath) {
+// Labels for the Evolving breakdown (metrics from client/src/utils/lesionEvolution.js)
+const EVOLUTION_LABELS = {
+  diameter: 'Diameter',
+  border: 'Border irregularity',
+  color: 'Color variation',
+  asymmetry: 'Asymmetry'
+};
+
+const describePattern = (key, value) => {
+  if (value === null || value === undefined) {
+    return key === 'evolving' ? 'Not assessed (no earlier scans of this spot)' : 'Not assessed';
+  }
+  return value ? '⚠️ Detected' : '✓ Normal';
+};
+
+const describeEvolutionChange = (key, change) => {
+  const sign = change.change >= 0 ? '+' : '';
+  const amount = key === 'diameter'
+    ? `${sign}${Math.round(change.change * 100)}%`
+    : `${sign}${change.change.toFixed(2)}`;
+  return `${EVOLUTION_LABELS[key] || key}: ${amount} since ${change.since === 'baseline' ? 'first' : 'last'} scan`;
+};
+
+async function generatePDF(user, images, outputPath, lesions = []) {
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({ margin: 50 });
@@ -21,20 +44,23 @@ async function generatePDF(user, images, outputPath) {
       doc.fontSize(20).text('Executive Summary', { underline: true });
       doc.moveDown(0.5);
       
-      const analyzedImages = images.filter(img => img.analysis);
+      const analyzedImages = images.filter(img => img.analysis && img.analysis.cancer);
       const avgRisk = analyzedImages.length > 0
-        ? analyzedImages.reduce((sum, img) => sum + img.analysis.cancerPercentage, 0) / analyzedImages.length
+        ? analyzedImages.reduce((sum, img) => sum + (img.analysis.cancer.cancerPercentage || 0), 0) / analyzedImages.length
         : 0;
-      const highRiskCount = analyzedImages.filter(img => img.analysis.cancerPercentage >= 20).length;
+      const highRiskCount = analyzedImages.filter(img => img.analysis.cancer.cancerPercentage >= 20).length;
+      const evolvingCount = analyzedImages.filter(img => img.analysis.cancer.patterns && img.analysis.cancer.patterns.evolving).length;
 
       doc.fontSize(12).text(`Total Scans: ${images.length}`);
       doc.text(`Analyzed Scans: ${analyzedImages.length}`);
       doc.text(`Average Risk Level: ${avgRisk.toFixed(1)}%`);
       doc.text(`High Risk Scans (≥20%): ${highRiskCount}`);
+      doc.text(`Scans Showing Evolution: ${evolvingCount}`);
       doc.moveDown();
 
-      if (highRiskCount > 0) {
-        doc.fontSize(14).fillColor('red').text('⚠️ IMPORTANT: High-risk findings detected. Please consult a dermatologist immediately.', { align: 'center' });
+      if (highRiskCount > 0 || evolvingCount > 0) {
+        const finding = highRiskCount > 0 ? 'High-risk findings detected' : 'A tracked spot is changing';
+        doc.fontSize(14).fillColor('red').text(`⚠️ IMPORTANT: ${finding}. Please consult a dermatologist immediately.`, { align: 'center' });
         doc.fillColor('black');
       }
       doc.addPage();
@@ -48,17 +74,37 @@ async function generatePDF(user, images, outputPath) {
           doc.addPage();
         }
 
-        doc.fontSize(14).text(`Scan ${index + 1} - ${new Date(image.uploadedAt).toLocaleDateString()}`, { underline: true });
+        const cancer = image.analysis.cancer;
+        const lesion = image.lesionId && lesions.find(l => l.id === image.lesionId);
+
+        doc.fontSize(14).text(`Scan ${index + 1} - ${new Date(image.uploadedAt).toLocaleDateString()}${lesion ? ` - ${lesion.name}` : ''}`, { underline: true });
         doc.moveDown(0.5);
         
-        doc.fontSize(12).text(`Risk Level: ${image.analysis.cancerPercentage}%`);
-        doc.text(`Size: ${image.analysis.sizes.width} × ${image.analysis.sizes.height} (Area: ${image.analysis.sizes.area})`);
+        doc.fontSize(12).text(`Risk Level: ${cancer.cancerPercentage}%`);
+        if (cancer.lesionDetails && cancer.lesionDetails.diameterMM) {
+          const sizeNote = cancer.lesionDetails.calibrated ? '' : ' - uncalibrated estimate';
+          doc.text(`Size: ${cancer.lesionDetails.widthMM} × ${cancer.lesionDetails.heightMM} mm (Diameter: ${cancer.lesionDetails.diameterMM} mm)${sizeNote}`);
+        } else if (cancer.sizes) {
+          doc.text(`Size: ${cancer.sizes.width} × ${cancer.sizes.height} (Area: ${cancer.sizes.area})`);
+        }
         
         doc.text('Pattern Analysis:');
-        Object.entries(image.analysis.patterns).forEach(([key, value]) => {
-          doc.text(`  • ${key.charAt(0).toUpperCase() + key.slice(1)}: ${value ? '⚠️ Detected' : '✓ Normal'}`, { indent: 20 });
+        Object.entries(cancer.patterns || {}).forEach(([key, value]) => {
+          doc.text(`  • ${key.charAt(0).toUpperCase() + key.slice(1)}: ${describePattern(key, value)}`, { indent: 20 });
         });
 
+        if (cancer.evolution) {
+          doc.text(`Changes across ${cancer.evolution.priorScans + 1} scans of this spot:`);
+          Object.entries(cancer.evolution.changes).forEach(([key, change]) => {
+            doc.text(`  • ${describeEvolutionChange(key, change)}`, { indent: 20 });
+          });
+        }
+
+        const quality = image.analysis.quality;
+        if (quality && quality.overridden) {
+          doc.text('Photo quality: analyzed despite quality problems - treat these results with caution');
+        }
+
         if (image.notes) {
           doc.moveDown(0.5);
           doc.text(`Notes: ${image.notes}`);
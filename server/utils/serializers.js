@@ -0,0 +1,30 @@
+// Public shapes for records returned by the API.
+// Anything not listed here (password hashes, OAuth provider IDs, tokens)
+// never leaves the server.
+
+const serializeUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerified),
+  profilePicture: user.profilePicture,
+  quizAnswers: user.quizAnswers || null,
+  createdAt: user.createdAt,
+  deletionScheduledAt: user.deletionScheduledAt || null
+});
+
+// Which sign-in methods are connected, without exposing the provider IDs
+const serializeAuthMethods = (user) => [
+  { provider: 'password', connected: Boolean(user.passwordHash) },
+  { provider: 'google', connected: Boolean(user.googleId) },
+  { provider: 'facebook', connected: Boolean(user.facebookId) }
+];
+
+// Decrypted scan record without storage details. The image itself is only
+// ever served through the authenticated file route, never inlined.
+const serializeImage = (image) => {
+  const { cloudinaryUrl, cloudinaryPublicId, file, ...scan } = image;
+  return { ...scan, fileUrl: `/api/images/${image.id}/file` };
+};
+
+module.exports = { serializeUser, serializeAuthMethods, serializeImage };
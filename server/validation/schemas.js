@@ -0,0 +1,695 @@
+/**
+ * Request/response schemas for every API route.
+ *
+ * Each entry may describe `params`, `query`, `body` and `response`. The
+ * `validate` middleware parses the request parts (unknown body keys are
+ * stripped, so clients can't smuggle extra fields into stored records) and,
+ * outside production, checks successful responses against `response`.
+ */
+const { z } = require('zod');
+
+// Shared building blocks
+const text = (label) => z.string({
+  required_error: `${label} is required`,
+  invalid_type_error: `${label} must be text`
+});
+
+const id = text('ID').trim().min(1, 'ID is required').max(64);
+// Lowercased so accounts are stored and looked up in one canonical form
+const email = text('Email').trim().toLowerCase().min(1, 'Email is required').email('Enter a valid email address').max(254);
+const name = text('Name').trim().min(1, 'Name is required').max(100);
+const token = text('Token').trim().min(1, 'Token is required').max(4096);
+const newPassword = text('Password').min(8, 'Password must be at least 8 characters').max(128);
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use the YYYY-MM-DD format');
+const clockTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Use the HH:MM format');
+const percentage = z.number().min(0).max(100);
+const score = z.number().min(0).max(1);
+const timestamp = z.union([z.string(), z.date()]);
+
+const userIdParams = z.object({ userId: id });
+const imageIdParams = z.object({ imageId: id });
+const medicationParams = z.object({ userId: id, medId: id });
+const lesionParams = z.object({ userId: id, lesionId: id });
+const empty = z.object({});
+
+// Quiz answers mirror the selects in Register.js
+const quizAnswers = z.object({
+  age: z.enum(['18-30', '31-45', '46-60', '60+']).or(z.literal('')),
+  skinType: z.enum(['fair', 'medium', 'olive', 'dark']).or(z.literal('')),
+  sunExposure: z.enum(['low', 'moderate', 'high']).or(z.literal('')),
+  familyHistory: z.enum(['yes', 'no', 'unsure']).or(z.literal('')),
+  previousSkinIssues: z.enum(['none', 'moles', 'rashes', 'other']).or(z.literal('')),
+  medications: z.string().max(500)
+}).partial();
+
+// Analysis payloads produced by the client-side models (see modelLoader.js)
+const prediction = z.object({
+  className: z.string().max(200),
+  probability: score
+});
+
+const dominantColor = z.object({
+  rgb: z.array(z.number().int().min(0).max(255)).length(3),
+  hex: z.string().regex(/^#[0-9a-f]{6}$/i),
+  percentage
+});
+
+// Scale taken from a reference object in the frame (see referenceDetection.js)
+const calibration = z.object({
+  referenceId: z.string().max(50),
+  sizeMM: z.number().positive(),
+  pixelSize: z.number().positive(),
+  confidence: z.number().min(0).max(1)
+});
+
+const lesionDetails = z.object({
+  width: z.number().min(0),
+  height: z.number().min(0),
+  area: z.number().min(0),
+  diameter: z.number().min(0),
+  widthMM: z.number().min(0),
+  heightMM: z.number().min(0),
+  diameterMM: z.number().min(0),
+  areaMM2: z.number().min(0),
+  // false when the millimetre sizes are only estimates
+  calibrated: z.boolean(),
+  pixelsPerMM: z.number().positive().nullable(),
+  calibration: calibration.nullable(),
+  aspectRatio: z.number().min(0),
+  circularity: z.number().min(0),
+  shape: z.string().max(50),
+  colorVariation: z.number().min(0),
+  dominantColors: z.array(dominantColor).max(10),
+  borderIrregularity: z.number().min(0),
+  borderSmoothness: z.number(),
+  asymmetryScore: z.number().min(0),
+  asymmetry: z.number().min(0),
+  border: z.number().min(0),
+  color: z.number().min(0),
+  evolving: z.number().min(0)
+}).partial();
+
+// The Evolving criterion, scored against earlier scans of the same lesion (see lesionEvolution.js)
+const evolutionChange = z.object({
+  from: z.number(),
+  to: z.number(),
+  change: z.number(),
+  since: z.enum(['baseline', 'previous']),
+  score
+});
+
+const evolution = z.object({
+  score,
+  evolving: z.boolean(),
+  priorScans: z.number().int().min(1),
+  baselineAt: z.string().datetime({ offset: true }),
+  previousAt: z.string().datetime({ offset: true }),
+  changes: z.object({
+    diameter: evolutionChange,
+    border: evolutionChange,
+    color: evolutionChange,
+    asymmetry: evolutionChange
+  }).partial()
+});
+
+const cancerAnalysis = z.object({
+  cancerPercentage: percentage,
+  confidence: z.number().min(0).max(100),
+  patterns: z.object({
+    asymmetry: z.boolean(),
+    border: z.boolean(),
+    color: z.boolean(),
+    // null when the size is uncalibrated
+    diameter: z.boolean().nullable(),
+    // null until the lesion has earlier scans to compare with
+    evolving: z.boolean().nullable()
+  }).partial(),
+  lesionDetails,
+  // Where in the photo this lesion is, in image pixels - one photo can hold several
+  region: z.object({
+    x: z.number().int().min(0),
+    y: z.number().int().min(0),
+    width: z.number().int().positive(),
+    height: z.number().int().positive()
+  }),
+  evolution,
+  sizes: z.object({
+    width: z.string().max(50),
+    height: z.string().max(50),
+    area: z.string().max(50)
+  }).partial(),
+  shapes: z.object({
+    irregular: z.boolean(),
+    circular: z.boolean(),
+    oval: z.boolean()
+  }).partial(),
+  modelUsed: z.boolean(),
+  modelType: z.string().max(50),
+  topPredictions: z.array(prediction).max(20)
+}).partial();
+
+// Photo quality measured before the analysis (see imageQuality.js)
+const imageQuality = z.object({
+  // Variance of the Laplacian around the spot - higher is sharper
+  sharpness: z.number().min(0),
+  brightness: z.number().min(0).max(255),
+  darkClipping: score,
+  brightClipping: score,
+  glare: score,
+  // Spot size as a fraction of the shorter image side; null when no spot was found
+  lesionSize: z.number().min(0).nullable(),
+  issues: z.array(z.object({
+    id: z.enum(['blurry', 'slightly-blurry', 'dark', 'overexposed', 'glare', 'too-small', 'too-close', 'no-spot']),
+    severity: z.enum(['block', 'warn'])
+  })).max(10),
+  // true when the photo was analyzed despite a blocking issue
+  overridden: z.boolean()
+}).partial();
+
+const infectionAnalysis = z.object({
+  primaryCondition: z.string().max(200),
+  confidence: percentage,
+  allConditions: z.record(z.string().max(200), z.number()),
+  hasInfection: z.boolean(),
+  modelUsed: z.boolean(),
+  modelType: z.string().max(50),
+  topPredictions: z.array(prediction).max(20)
+}).partial();
+
+// Response building blocks
+const user = z.object({
+  id,
+  name: z.string().nullish(),
+  email: z.string().nullish(),
+  emailVerified: z.boolean(),
+  profilePicture: z.string().nullish(),
+  quizAnswers: z.record(z.any()).nullish(),
+  createdAt: timestamp.nullish(),
+  deletionScheduledAt: timestamp.nullish()
+});
+
+const session = z.object({
+  success: z.literal(true),
+  user,
+  accessToken: z.string(),
+  refreshToken: z.string()
+});
+
+const message = z.object({ success: z.literal(true), message: z.string() });
+
+const authMethods = z.object({
+  success: z.literal(true),
+  methods: z.array(z.object({
+    provider: z.enum(['password', 'google', 'facebook']),
+    connected: z.boolean()
+  }))
+});
+
+const image = z.object({
+  id,
+  userId: id,
+  lesionId: id.nullish(),
+  filename: z.string().nullish(),
+  fileUrl: z.string(),
+  notes: z.string(),
+  uploadedAt: timestamp,
+  analysis: z.object({
+    cancer: cancerAnalysis,
+    infection: infectionAnalysis,
+    recommendations: z.array(z.string()),
+    quality: imageQuality.nullish(),
+    analyzedAt: timestamp
+  }).nullable()
+}).passthrough();
+
+// Body locations mirror client/src/data/bodyLocations.js
+const BODY_LOCATIONS = [
+  'scalp', 'face', 'neck', 'chest', 'abdomen', 'upper-back', 'lower-back', 'buttocks',
+  'left-shoulder', 'right-shoulder', 'left-upper-arm', 'right-upper-arm',
+  'left-forearm', 'right-forearm', 'left-hand', 'right-hand',
+  'left-thigh', 'right-thigh', 'left-lower-leg', 'right-lower-leg',
+  'left-foot', 'right-foot', 'other'
+];
+
+// Where the user tapped the body map, as fractions of its width and height
+const bodyPosition = z.object({
+  view: z.enum(['front', 'back']),
+  x: z.number().min(0).max(1),
+  y: z.number().min(0).max(1)
+}, { invalid_type_error: 'Tap where the spot is on the body map' });
+
+const lesion = z.object({
+  id,
+  userId: id,
+  name: z.string(),
+  bodyLocation: z.string(),
+  bodyPosition: bodyPosition.nullish(),
+  firstSeenAt: z.string(),
+  scanCount: z.number(),
+  lastScanAt: z.string().nullable()
+}).passthrough();
+
+const medication = z.object({
+  id,
+  userId: id,
+  name: z.string(),
+  dosage: z.string(),
+  frequency: z.string(),
+  times: z.array(z.string()),
+  startDate: z.string(),
+  duration: z.number(),
+  takenToday: z.array(z.object({ time: z.string(), date: z.string() }))
+}).passthrough();
+
+const gamification = z.object({
+  xp: z.number(),
+  level: z.number(),
+  hp: z.number(),
+  mp: z.number(),
+  gold: z.number(),
+  achievements: z.array(z.string()),
+  streaks: z.record(z.number()),
+  stats: z.record(z.union([z.number(), z.string(), z.null()]))
+});
+
+const gamificationResult = z.object({
+  success: z.literal(true),
+  gamification,
+  leveledUp: z.boolean().optional(),
+  newLevel: z.number().nullish()
+});
+
+// Route schemas
+const register = {
+  body: z.object({
+    name,
+    email,
+    // Same rule as reset-password and set-password, so every password can be changed later
+    password: newPassword,
+    quizAnswers: quizAnswers.nullish()
+  }),
+  response: session
+};
+
+const login = {
+  body: z.object({
+    email,
+    password: text('Password').min(1, 'Password is required').max(128)
+  }),
+  response: session
+};
+
+const refresh = {
+  body: z.object({ refreshToken: token }),
+  response: session
+};
+
+const logout = {
+  body: z.object({ refreshToken: token.optional() }),
+  response: z.object({ success: z.literal(true) })
+};
+
+const forgotPassword = {
+  body: z.object({ email }),
+  response: message
+};
+
+const resetPassword = {
+  body: z.object({ token, password: newPassword }),
+  response: message
+};
+
+const verifyEmail = {
+  body: z.object({ token }),
+  response: message
+};
+
+const resendVerification = { body: empty, response: message };
+
+const me = { response: z.object({ success: z.literal(true), user }) };
+
+const notes = z.string({ invalid_type_error: 'Notes must be text' }).max(2000, 'Notes must be 2000 characters or fewer');
+
+const upload = {
+  body: z.object({
+    notes: notes.optional(),
+    lesionId: id.optional()
+  }),
+  response: z.object({ success: z.literal(true), image })
+};
+
+const listImages = {
+  params: userIdParams,
+  response: z.object({ images: z.array(image) })
+};
+
+const imageFile = {
+  params: imageIdParams,
+  query: z.object({
+    size: z.enum(['thumb', 'medium', 'full'], {
+      errorMap: () => ({ message: 'Size must be thumb, medium or full' })
+    }).default('full')
+  })
+};
+
+const updateImage = {
+  params: imageIdParams,
+  body: z.object({
+    notes: notes.optional(),
+    uploadedAt: z.string({ invalid_type_error: 'Enter a valid date' })
+      .datetime({ offset: true, message: 'Enter a valid date' })
+      .refine(value => new Date(value) <= new Date(), 'The scan date cannot be in the future')
+      .optional(),
+    lesionId: id.nullable().optional()
+  }).refine(body => Object.values(body).some(value => value !== undefined), 'Nothing to update'),
+  response: z.object({ success: z.literal(true), image })
+};
+
+const trashedImage = image.extend({ deletedAt: z.string(), purgeAt: z.string() });
+
+const deleteImage = {
+  params: imageIdParams,
+  response: z.object({ success: z.literal(true), image: trashedImage })
+};
+
+const restoreImage = {
+  params: imageIdParams,
+  response: z.object({ success: z.literal(true), image })
+};
+
+const listTrash = {
+  params: userIdParams,
+  response: z.object({ images: z.array(trashedImage) })
+};
+
+const analyze = {
+  params: imageIdParams,
+  body: z.object({
+    cancer: cancerAnalysis.default({}),
+    infection: infectionAnalysis.default({}),
+    recommendations: z.array(z.string().max(500)).max(50).default([]),
+    quality: imageQuality.nullable().default(null)
+  }),
+  response: z.object({
+    success: z.literal(true),
+    analysis: image.shape.analysis,
+    gamification: gamification.nullable(),
+    leveledUp: z.boolean(),
+    newLevel: z.number().nullable()
+  })
+};
+
+const analyzeServer = { body: empty };
+
+const chat = {
+  body: z.object({
+    message: text('Message').trim().min(1, 'Message is required').max(2000, 'Message must be 2000 characters or fewer'),
+    conversationHistory: z.array(z.object({
+      role: z.string().max(20),
+      content: z.string().max(4000)
+    }).partial()).max(100).optional()
+  }),
+  response: z.object({
+    success: z.literal(true),
+    response: z.object({ message: z.string() })
+  })
+};
+
+const getUser = {
+  params: userIdParams,
+  response: z.object({ user })
+};
+
+const googleAuth = {
+  body: z.object({ token }),
+  response: session
+};
+
+const facebookAuth = {
+  body: z.object({
+    accessToken: token,
+    userID: z.union([z.string(), z.number()]).transform(String).pipe(id)
+  }),
+  response: session
+};
+
+const listAuthMethods = { response: authMethods };
+
+const linkGoogle = { body: googleAuth.body, response: authMethods };
+
+const linkFacebook = { body: facebookAuth.body, response: authMethods };
+
+const linkPassword = {
+  body: z.object({
+    password: newPassword,
+    currentPassword: z.string().max(128).optional()
+  }),
+  response: authMethods
+};
+
+const unlinkAuthMethod = {
+  params: z.object({ provider: z.enum(['password', 'google', 'facebook']) }),
+  response: authMethods
+};
+
+const exportData = {};
+
+const deleteAccount = {
+  body: z.object({
+    password: z.string().max(128).optional(),
+    confirmation: z.literal('DELETE', { errorMap: () => ({ message: 'Type DELETE to confirm' }) })
+  }),
+  response: z.object({
+    success: z.literal(true),
+    deletionScheduledAt: timestamp,
+    message: z.string()
+  })
+};
+
+const cancelDeletion = { body: empty, response: message };
+
+const generatePdf = { params: userIdParams };
+
+const hash = z.string().regex(/^[0-9a-f]{64}$/);
+
+const ledgerCheck = z.object({
+  contentMatches: z.boolean(),
+  chainIntact: z.boolean(),
+  includedInRoot: z.boolean(),
+  entry: z.object({
+    seq: z.number().int().min(1),
+    type: z.string(),
+    hash,
+    timestamp: z.string()
+  }),
+  merkle: z.object({
+    day: isoDate,
+    root: hash,
+    status: z.enum(['sealed', 'pending']),
+    anchor: z.object({
+      status: z.literal('confirmed'),
+      chainId: z.number().int(),
+      contractAddress: z.string(),
+      transactionHash: z.string(),
+      blockNumber: z.number().int(),
+      anchoredAt: z.string(),
+      onChain: z.boolean().nullable()
+    }).nullable(),
+    proof: z.array(z.object({ position: z.enum(['left', 'right']), hash })),
+    valid: z.boolean()
+  })
+});
+
+const verifyImage = {
+  params: imageIdParams,
+  response: z.object({
+    success: z.literal(true),
+    imageId: id,
+    verified: z.boolean(),
+    image: ledgerCheck.nullable(),
+    analysis: ledgerCheck.nullable()
+  })
+};
+
+const verifyReport = {
+  body: empty,
+  response: z.object({
+    success: z.literal(true),
+    verified: z.boolean(),
+    contentHash: hash,
+    report: ledgerCheck.nullable()
+  })
+};
+
+const listMedications = {
+  params: userIdParams,
+  response: z.object({ medications: z.array(medication) })
+};
+
+const addMedication = {
+  params: userIdParams,
+  body: z.object({
+    name: text('Medication name').trim().min(1, 'Medication name is required').max(100),
+    dosage: text('Dosage').trim().min(1, 'Dosage is required').max(100),
+    frequency: z.enum(['daily', 'twice', 'three'], {
+      errorMap: () => ({ message: 'Choose how often to take it' })
+    }).default('daily'),
+    times: z.array(clockTime).min(1, 'Add at least one time').max(6).default(['09:00']),
+    startDate: isoDate.optional(),
+    duration: z.coerce.number({ invalid_type_error: 'Duration must be a number of days' }).int('Duration must be a whole number of days')
+      .min(1, 'Duration must be at least 1 day')
+      .max(365, 'Duration must be 365 days or fewer')
+      .default(7)
+  }),
+  response: z.object({ success: z.literal(true), medication })
+};
+
+const markMedicationTaken = {
+  params: medicationParams,
+  body: z.object({
+    time: clockTime,
+    date: isoDate.optional()
+  }),
+  response: z.object({ success: z.literal(true), medication })
+};
+
+const deleteMedication = {
+  params: medicationParams,
+  response: z.object({ success: z.literal(true) })
+};
+
+const lesionName = text('Name').trim().min(1, 'Give this spot a name').max(100);
+const bodyLocation = z.enum(BODY_LOCATIONS, {
+  errorMap: () => ({ message: 'Choose where on the body this spot is' })
+});
+const firstSeenAt = isoDate.refine(value => value <= new Date().toISOString().slice(0, 10), 'First seen cannot be in the future');
+
+const listLesions = {
+  params: userIdParams,
+  response: z.object({ lesions: z.array(lesion) })
+};
+
+const addLesion = {
+  params: userIdParams,
+  body: z.object({
+    name: lesionName,
+    bodyLocation,
+    bodyPosition: bodyPosition.nullable().optional(),
+    firstSeenAt: firstSeenAt.optional()
+  }),
+  response: z.object({ success: z.literal(true), lesion })
+};
+
+const updateLesion = {
+  params: lesionParams,
+  body: z.object({
+    name: lesionName.optional(),
+    bodyLocation: bodyLocation.optional(),
+    bodyPosition: bodyPosition.nullable().optional(),
+    firstSeenAt: firstSeenAt.optional()
+  }).refine(body => Object.values(body).some(value => value !== undefined), 'Nothing to update'),
+  response: z.object({ success: z.literal(true), lesion })
+};
+
+const deleteLesion = {
+  params: lesionParams,
+  response: z.object({ success: z.literal(true) })
+};
+
+const getGamification = { params: userIdParams, response: gamificationResult };
+
+const awardXP = {
+  params: userIdParams,
+  body: z.object({
+    xp: z.number().int().min(1).max(500),
+    action: z.string().trim().max(50).optional()
+  }),
+  response: gamificationResult
+};
+
+const checkIn = {
+  params: userIdParams,
+  body: empty,
+  response: gamificationResult.extend({ alreadyCheckedIn: z.boolean().optional() })
+};
+
+const listAchievements = {
+  params: userIdParams,
+  response: z.object({ success: z.literal(true), achievements: z.array(z.string()) })
+};
+
+const unlockAchievement = {
+  params: userIdParams,
+  body: z.object({ achievementId: z.string().trim().min(1).max(64) }),
+  response: gamificationResult
+};
+
+const counter = z.number().int().min(0);
+
+const updateStats = {
+  params: userIdParams,
+  body: z.object({
+    stats: z.object({
+      scansCompleted: counter,
+      medicationsTaken: counter,
+      chatbotInteractions: counter,
+      daysActive: counter
+    }).partial().optional(),
+    streaks: z.object({
+      dailyCheckIn: counter,
+      medicationAdherence: counter,
+      weeklyScans: counter
+    }).partial().optional()
+  }),
+  response: gamificationResult
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  me,
+  upload,
+  listImages,
+  imageFile,
+  updateImage,
+  deleteImage,
+  restoreImage,
+  listTrash,
+  analyze,
+  analyzeServer,
+  chat,
+  getUser,
+  googleAuth,
+  facebookAuth,
+  listAuthMethods,
+  linkGoogle,
+  linkFacebook,
+  linkPassword,
+  unlinkAuthMethod,
+  exportData,
+  deleteAccount,
+  cancelDeletion,
+  generatePdf,
+  verifyImage,
+  verifyReport,
+  listMedications,
+  addMedication,
+  markMedicationTaken,
+  deleteMedication,
+  listLesions,
+  addLesion,
+  updateLesion,
+  deleteLesion,
+  getGamification,
+  awardXP,
+  checkIn,
+  listAchievements,
+  unlockAchievement,
+  updateStats
+};